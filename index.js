@@ -1,63 +1,22 @@
-import { init as initUtils, __dirname, getHTML, stop, sendStartupInfo, releaseCheck, isSiteActive, setActive, waitFor, setup } from './js/utils.js';
+#!/usr/bin/env node
+import { init as initUtils, __dirname, stop, sendStartupInfo, releaseCheck, isSiteActive, setActive, waitFor, setup } from './js/utils.js';
 import * as db from './js/database-interface.js';
-import { FA_DOWN, FA_URL_BASE, FA_USER_BASE } from './js/constants.js';
+import { FA_DOWN } from './js/constants.js';
 import { checkIfLoggedIn, handleLogin, forceNewLogin, username, checkForOldTheme } from './js/login.js';
-import { getSubmissionLinks, scrapeSubmissionInfo } from './js/scrape-data.js';
-import { initDownloads } from './js/download-content.js';
+import { startDataScraping, repairDatabase, updateJob, resumeWaitingJobs, getWatchlist, downloadSubmissions, parseSubmissionUrls } from './js/scrape-data.js';
+import { startScheduler, scheduleUsers, updateSchedule } from './js/scheduler.js';
 import { initGallery } from './js/view-gallery.js';
 import { join, resolve } from 'node:path';
 import open from 'open';
 import fs from 'fs-extra';
 import { setupBrowser } from './js/setup-browsers.js';
-import { init as exportData } from './js/export-data.js';
+import { init as exportData, initFolders as exportFolders } from './js/export-data.js';
 import { spawn } from 'node:child_process';
 import {  default as process } from 'node:process';
+import { runCommand } from './js/command-line.js';
 
 const startupLink = join('file://', __dirname, './html/startup.html');
 
-let inProgress = false;
-async function startDataScraping(uName = username, scrapeGallery = true, scrapeComments = true, scrapeFavorites) {
-  if (inProgress) return console.log('[Data] Program already running!');
-  if (uName) {
-    inProgress = true;
-    const allNames = uName.split(',').map(n => n.trim()).filter(n => !!n);
-    let name = allNames.shift();
-    while (name && !stop.now) {
-      const FA_GALLERY_URL = `${FA_URL_BASE}/gallery/${name}/`;
-      const FA_SCRAPS_URL = `${FA_URL_BASE}/scraps/${name}/`;
-      const FA_FAVORITES_URL = `${FA_URL_BASE}/favorites/${name}/`;
-
-      // Check if valid username
-      const $ = await getHTML(FA_USER_BASE + name).catch(() => false);
-      if (!$ || /system.error/i.test($('title').text())) {
-        console.log(`[Warn] Invalid username: ${name}`);
-        continue;
-      }
-      // Scrape data from gallery pages
-      if (scrapeGallery) {
-        await getSubmissionLinks({ url: FA_GALLERY_URL, username: name });
-        await getSubmissionLinks({ url: FA_SCRAPS_URL, isScraps: true, username: name });
-      }
-      if (scrapeFavorites)
-        await getSubmissionLinks({ url: FA_FAVORITES_URL, isFavorites: true, username: name });
-      name = allNames.shift();
-    }
-    if (stop.now) console.log('[Data] Process halted!');
-  } else {
-    console.log('[Data] Continuing previous download...');
-  }
-  // Scrape data from collected submission pages
-  Promise.all([
-    scrapeSubmissionInfo({ downloadComments: scrapeComments }),
-    initDownloads(),
-  ]).then(() => {
-    if(!stop.now) console.log('Requested downloads complete! ♥');
-  }).finally(() => {
-    inProgress = false;
-    setActive(false);
-  });
-}
-
 async function checkDBRepair() {
   const needsRepair = await db.needsRepair();
   if (needsRepair.length)
@@ -86,43 +45,48 @@ async function init() {
       if (!await isSiteActive()) return console.log(FA_DOWN);
       if (!await checkIfLoggedIn(browser)) await handleLogin();
       await checkForOldTheme();
-      const { name, scrapeGallery, scrapeComments, scrapeFavorites } = data;
-      startDataScraping(name, scrapeGallery, scrapeComments, scrapeFavorites);
+      const { name, scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals, fullResync, concurrency } = data;
+      startDataScraping({ name, scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals, fullResync, concurrency });
       await waitFor(3000);
       await sendStartupInfo();
+    } else if (choice === 'download-submissions') {
+      if (!await isSiteActive()) return console.log(FA_DOWN);
+      if (!await checkIfLoggedIn(browser)) await handleLogin();
+      await checkForOldTheme();
+      const { text, search, maxPages, scrapeComments } = data;
+      downloadSubmissions({ urls: parseSubmissionUrls(text), search, maxPages, scrapeComments });
+      await waitFor(3000);
+      await sendStartupInfo();
+    } else if (choice === 'load-watchlist') {
+      const isFAUp = await isSiteActive();
+      if (!isFAUp) console.log(FA_DOWN);
+      const users = isFAUp && await getWatchlist(data.name);
+      await sendStartupInfo({ watchlist: { name: data.name, users: users || [], failed: !users } });
     } else if (choice === 'view-gallery') {
       console.log(`[Data] Opening gallery viewer...`);
       initGallery(browser);
+    } else if (choice === 'job-action') {
+      await updateJob(data.id, data.action);
+    } else if (choice === 'schedule-users') {
+      const { name, intervalHours, scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals } = data;
+      await scheduleUsers((name || '').split(','), intervalHours, { scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals });
+    } else if (choice === 'schedule-action') {
+      await updateSchedule(data.name, data.action);
     } else if (choice === 'stop-all') {
       stop.now = true;
       console.log('Stopping data scraping...');
     } else if (choice === 'open') {
       if (data.url) open(data.url);
     } else if (choice === 'repair') {
-      if (inProgress)
-        return console.log(`[Data] Please stop data scraping before restarting!`);
-      console.log('[Data] Checking database...');
-      inProgress = true;
-      setActive(true);
-      await db.deleteBlankSubmissionInfo();
-      const inNeedOfRepair = await db.needsRepair();
-      if (inNeedOfRepair.length) {
-        console.log('Database incomplete! Working on that now...');
-        await scrapeSubmissionInfo({ data: inNeedOfRepair, downloadComments: true })
-          .finally(() => {
-            inProgress = false;
-            setActive(false);
-          });
-        if (!stop.now) console.log(`Database repaired!`);
-      } else {
-        inProgress = false;
-        setActive(false);
-        console.log(`[Data] Database OK!`);
-      }
+      await repairDatabase();
     } else if (choice === 'export-data') {
       setActive(true);
       await exportData(data.name, data.includeDate);
       setActive(false);
+    } else if (choice === 'export-folders') {
+      setActive(true);
+      await exportFolders(data.name);
+      setActive(false);
     } else if (choice === 'release-check') {
       sendStartupInfo(await releaseCheck());
     } else if (choice === 'delete-account') {
@@ -169,11 +133,24 @@ async function init() {
     await sendStartupInfo(await releaseCheck());
   });
   await page.goto(startupLink);
+  // Jobs still marked running were cut off when the program closed
+  await db.resetRunningJobs();
   const isFAUp = await isSiteActive();
-  if (isFAUp && await checkIfLoggedIn(browser)) await sendStartupInfo();
+  const isLoggedIn = isFAUp && await checkIfLoggedIn(browser);
+  if (isLoggedIn) await sendStartupInfo();
   if (!isFAUp) console.log(FA_DOWN);
+  // Pick up any users still waiting in the queue from last time
+  if (isLoggedIn && await db.getNextJob()) {
+    console.log('[Data] Resuming queued downloads...');
+    await setActive(true);
+    resumeWaitingJobs();
+  }
   // Repair DB if needed
   await checkDBRepair();
+  startScheduler({ login: async () => await isSiteActive() && await checkIfLoggedIn(browser) });
 }
 
-init();
+// Any arguments means we're running from the command line, without a window
+const args = process.argv.slice(2);
+if (args.length) runCommand(args);
+else init();
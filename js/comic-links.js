@@ -0,0 +1,51 @@
+import * as cheerio from 'cheerio';
+/** @import { CheerioAPI } from 'cheerio' */
+
+// What artists write on their first/prev/next links. FA turns
+// [prev,first,next] in descriptions into "<<< PREV | FIRST | NEXT >>>".
+const relations = {
+  first: /\b(first|beginning|start)\b/i,
+  prev: /\b(prev|previous|back)\b|<<|«|‹/i,
+  next: /\bnext\b|>>|»|›/i,
+};
+
+function getLinkedID(href = '') {
+  return href.match(/\/view\/(\d+)/)?.[1] || '';
+}
+/**
+ * Finds the first, previous and next page links in a submission description.
+ * @param {String} desc Description HTML
+ * @param {String} submissionId Links back to the submission itself are skipped
+ * @returns {Array<Object>} Relation and linked submission ID of each link found
+ */
+export function parseComicLinks(desc, submissionId) {
+  if (!desc) return [];
+  const $ = cheerio.load(desc);
+  const found = {};
+  for (const a of Array.from($('a[href*="/view/"]'))) {
+    const target_id = getLinkedID($(a).attr('href'));
+    const text = $(a).text().trim();
+    if (!target_id || target_id === submissionId) continue;
+    const relation = Object.keys(relations).find(r => relations[r].test(text));
+    if (relation && !found[relation]) found[relation] = target_id;
+  }
+  return Object.entries(found)
+    .map(([relation, target_id]) => ({ relation, target_id, source: 'description' }));
+}
+/**
+ * Reads FA's own previous/next links, which move through the artist's gallery.
+ * @param {CheerioAPI} $ Submission page
+ * @param {String} submissionId
+ * @returns {Array<Object>} Relation and linked submission ID of each link found
+ */
+export function parseGalleryLinks($, submissionId) {
+  const links = [];
+  for (const a of Array.from($('.favorite-nav a[href*="/view/"]'))) {
+    const target_id = getLinkedID($(a).attr('href'));
+    const text = $(a).text().trim().toLowerCase();
+    const relation = /prev/.test(text) ? 'prev' : /next/.test(text) ? 'next' : '';
+    if (!relation || !target_id || target_id === submissionId) continue;
+    if (!links.some(l => l.relation === relation)) links.push({ relation, target_id, source: 'gallery' });
+  }
+  return links;
+}
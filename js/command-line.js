@@ -0,0 +1,406 @@
+import { parseArgs } from 'node:util';
+import process from 'node:process';
+import fs from 'fs-extra';
+import * as db from './database-interface.js';
+import { setup, teardown, stop, isSiteActive, getVersion, initConsoleProgress, stopConsoleProgress } from './utils.js';
+import { loginWithCookies, getBrowserCookies, usesOldTheme, username } from './login.js';
+import { readCookieFile, writeCookieFile, saveCookies, getCookies, clearCookies } from './cookie-store.js';
+import { setupHeadlessBrowser } from './setup-browsers.js';
+import { startDataScraping, repairDatabase, recheckSubmissions, getWatchlist, downloadSubmissions, parseSubmissionUrls } from './scrape-data.js';
+import { init as exportData, initFolders as exportFolders } from './export-data.js';
+import { getDuplicateReport, hardlinkDuplicates } from './dedupe-content.js';
+import { formatBytes } from './gallery/format-bytes.js';
+import { verifyContent } from './verify-content.js';
+import { startGalleryServer, stopGalleryServer } from './serve-gallery.js';
+import { getControlRoutes, closeEventStreams } from './control-api.js';
+import { startScheduler, stopScheduler, scheduleUsers, updateSchedule, formatInterval } from './scheduler.js';
+import { FA_DOWN } from './constants.js';
+
+const helpText = `
+FA Gallery Downloader v${getVersion()}
+
+Usage: fa-gallery-downloader <command> [options]
+Run without a command to open the startup window instead.
+
+Commands:
+  scrape    Download the galleries of the given users
+              --users <names>   Comma separated list of usernames to add to the download queue
+                                (default: continue the queue and previous download)
+              --watchlist <account>
+                                Also add every user the given account is watching
+              --favorites       Also download each user's favorites
+              --journals        Also download each user's journals
+              --no-gallery      Skip each user's gallery and scraps
+              --no-comments     Skip submission comments
+              --full-resync     Check every gallery page, not just until already saved submissions
+              --concurrency <n> Files to download at once, from 1 to 8 (saved for future runs)
+  download  Download single submissions, from a list of links or an FA search
+              --file <path>     Text file with submission links in it, one per line
+              --urls <links>    Comma separated list of submission links or IDs
+              --search <query>  Also download the results of an FA search
+              --pages <n>       Search result pages to walk (default: all)
+              --no-comments     Skip submission comments
+  repair    Fill in missing submission data (ratings, dates, etc.), then verify and
+            redownload any missing or corrupt files
+  recheck   Visit saved submissions on FA again, to find any that were deleted or edited
+              --users <names>   Comma separated list of usernames to check (default: all)
+  verify    Check downloaded files and queue missing or corrupt ones for download,
+            with a report saved to the logs folder
+              --deep            Also check each file against its saved hash (slower)
+  export    Export an account's submissions for Postybirb, or by gallery folder
+              --user <name>     Account to export
+              --no-date         Leave out the "originally posted on" date
+              --folders         Copy the user's downloaded files into a folder for each
+                                of their FA gallery folders, instead of for Postybirb
+  status    Show what has been downloaded so far
+  duplicates  List files saved more than once, across all artists and favorites
+              --hardlink        Replace duplicates with hardlinks to a single copy, to save space
+  serve     Share the gallery viewer (read-only) with other devices on your network
+              --port <n>        Port to listen on (default: 8080)
+              --password <pw>   Password to ask for, or set FA_GALLERY_PASSWORD instead
+              --control         Also allow queueing downloads over HTTP (needs a password)
+              --schedule        Also run scheduled syncs while serving
+  schedule  Check users for new submissions on a schedule
+              list              Show scheduled users and their recent syncs
+              add               Add users to the schedule, or change how often they're synced
+                --users <names> Comma separated list of usernames
+                --every <time>  Time between syncs, in hours or days like 12h or 7d (default: 7d)
+                --favorites, --journals, --no-gallery, --no-comments  Same as scrape
+              remove            Remove users from the schedule
+                --users <names> Comma separated list of usernames
+              run               Keep running, and sync each user whenever they're due
+  cookies   Manage the saved FA login, so no browser is needed
+              import <file>     Save the login from a cookies.txt or JSON cookie export
+              export <file>     Write the current login to a cookies.txt, or JSON if <file> ends in .json
+              clear             Remove the saved login
+  help      Show this message
+`;
+
+/**
+ * Gets the FA login cookies saved in the browser profile, without opening a window.
+ * @returns {Promise<Array<Object>>}
+ */
+async function getProfileCookies() {
+  const browser = await setupHeadlessBrowser().catch(() => null);
+  if (!browser) return [];
+  const cookies = await getBrowserCookies(browser).catch(() => []);
+  await browser.close();
+  return cookies;
+}
+/**
+ * Logs in with the imported cookies if there are any, or with the login saved
+ * in the browser profile otherwise.
+ * @returns {Promise<Boolean>} If logged in or not
+ */
+async function login() {
+  if (!await isSiteActive()) {
+    console.log(FA_DOWN);
+    return false;
+  }
+  let cookies = await getCookies();
+  if (!cookies.length) cookies = await getProfileCookies();
+  const isLoggedIn = cookies.length && await loginWithCookies(cookies);
+  if (!isLoggedIn) {
+    console.log('[Warn] Not logged in! Import your cookies, or run the program without a command to login first.');
+    return false;
+  }
+  if (await usesOldTheme()) {
+    console.log('[Warn] Using incompatible old FA theme, switch to the Modern theme in your FA settings first.');
+    return false;
+  }
+  console.log(`User logged-in as: ${username}`);
+  return true;
+}
+
+async function scrape({ users, watchlist, favorites, journals, 'no-gallery': noGallery, 'no-comments': noComments, 'full-resync': fullResync, concurrency }) {
+  if (concurrency && !(+concurrency > 0)) return console.log('[Warn] --concurrency must be a number above 0');
+  if (!await login()) return;
+  const names = users ? [users] : [];
+  if (watchlist) {
+    const watched = await getWatchlist(watchlist);
+    if (!watched) return;
+    names.push(...watched);
+  }
+  await startDataScraping({
+    name: names.join(','),
+    scrapeGallery: !noGallery,
+    scrapeComments: !noComments,
+    scrapeFavorites: !!favorites,
+    scrapeJournals: !!journals,
+    fullResync: !!fullResync,
+    concurrency: +concurrency || 0,
+  });
+}
+
+async function download({ file, urls = '', search = '', pages, 'no-comments': noComments }) {
+  if (pages && !(+pages > 0)) return console.log('[Warn] --pages must be a number above 0');
+  let text = urls.split(',').join('\n');
+  if (file) {
+    const fileText = await fs.readFile(file, 'utf8')
+      .catch(e => console.log(`[Warn] Could not read links file: ${e.message}`));
+    if (fileText === undefined) return;
+    text += `\n${fileText}`;
+  }
+  const links = parseSubmissionUrls(text);
+  if (!links.length && !search.trim())
+    return console.log('[Warn] Submission links or a search are required: download --file <path>, --urls <links> or --search <query>');
+  if (!await login()) return;
+  await downloadSubmissions({ urls: links, search, maxPages: +pages || 0, scrapeComments: !noComments });
+}
+
+async function repair() {
+  if (!await login()) return;
+  await repairDatabase();
+}
+
+async function recheck({ users = '' }) {
+  if (!await login()) return;
+  await recheckSubmissions(users.split(',').filter(n => n.trim()));
+}
+
+async function exportAccount({ user, 'no-date': noDate, folders }) {
+  if (!user) return console.log('[Warn] An account name is required: --user <name>');
+  // Only copies what's already downloaded, so no login needed
+  if (folders) return exportFolders(user);
+  if (!await login()) return;
+  await exportData(user, !noDate);
+}
+
+async function status() {
+  const results = await db.getArchiveStatus();
+  const inNeedOfRepair = await db.needsRepair();
+  const waiting = (await db.getJobs()).filter(job => ['queued', 'running', 'paused'].includes(job.state));
+  console.log(`[Data] Users: ${results.users}`);
+  console.log(`[Data] Users in download queue: ${waiting.length}${waiting.length ? ` (${waiting.map(j => j.username).join(', ')})` : ''}`);
+  console.log(`[Data] Submissions: ${results.submissions}`);
+  console.log(`[Data] Waiting on metadata: ${results.pending_metadata || 0}`);
+  console.log(`[Data] Incomplete metadata: ${inNeedOfRepair.length}`);
+  console.log(`[File] Downloaded: ${results.saved_content || 0}`);
+  console.log(`[File] Waiting on download: ${results.pending_content || 0}`);
+  console.log(`[File] Missing on FA: ${results.missing_content || 0}`);
+  console.log(`[Data] Deleted on FA: ${results.deleted || 0}`);
+  console.log(`[Data] Edited on FA: ${results.edited || 0}`);
+}
+
+async function verify({ deep }) {
+  await verifyContent({ deep: !!deep });
+}
+
+async function duplicates({ hardlink }) {
+  if (hardlink) return hardlinkDuplicates();
+  const { groups, wastedBytes } = await getDuplicateReport();
+  for (const group of groups) {
+    console.log(`[File] ${group.files.length} copies, ${formatBytes(group.size)}${group.isLinked ? ' (hardlinked)' : ''}:`);
+    group.files.forEach(f => console.log(`    ${f.location || `[Missing] ${f.content_name}`}`));
+  }
+  console.log(`[Data] ${groups.length} duplicated files, ${formatBytes(wastedBytes)} can be saved with --hardlink`);
+}
+
+async function serve({ port = '8080', password = process.env.FA_GALLERY_PASSWORD, control, schedule: runSchedule }) {
+  if (!(+port > 0 && +port < 65536)) return console.log('[Warn] --port must be a number from 1 to 65535');
+  if (control && !password) return console.log('[Warn] --control needs a password, so no one else can start downloads');
+  const routes = control ? getControlRoutes({ login }) : [];
+  const isRunning = await startGalleryServer({ port: +port, password, routes })
+    .catch(e => console.log(`[Warn] Could not start server: ${e.message}`));
+  if (!isRunning) return;
+  if (control) console.log(`[Server] Control API running at: http://localhost:${port}/api/control/status`);
+  if (runSchedule) await startScheduler({ login });
+  console.log('[Server] Press Ctrl+C to stop');
+  // Not stop.now, as the control API can stop downloads without closing the server
+  await new Promise(r => process.once('SIGINT', r));
+  closeEventStreams();
+  await stopGalleryServer();
+  await stopScheduler();
+}
+
+/**
+ * @param {String} time Hours or days, like 12h or 7d
+ * @returns {Number} Hours, or NaN if not valid
+ */
+function parseInterval(time) {
+  const [, amount, unit] = `${time}`.trim().match(/^(\d+)\s*(h|d)?$/i) || [];
+  return +amount * (/^h$/i.test(unit) ? 1 : 24);
+}
+async function schedule(values, [action = 'list']) {
+  const { users = '', every = '7d', favorites, journals, 'no-gallery': noGallery, 'no-comments': noComments } = values;
+  const names = users.split(',').filter(n => n.trim());
+  if (['add', 'remove'].includes(action) && !names.length)
+    return console.log(`[Warn] Usernames are required: schedule ${action} --users <names>`);
+  if (action === 'add') {
+    const intervalHours = parseInterval(every);
+    if (!(intervalHours >= 1)) return console.log('[Warn] --every must be a number of hours or days, like 12h or 7d');
+    await scheduleUsers(names, intervalHours, {
+      scrapeGallery: !noGallery,
+      scrapeComments: !noComments,
+      scrapeFavorites: !!favorites,
+      scrapeJournals: !!journals,
+    });
+  } else if (action === 'remove') {
+    for (const name of names) {
+      if (await updateSchedule(name.trim(), 'remove')) console.log(`[Schedule] Removed: ${name.trim()}`);
+      else console.log(`[Warn] Not scheduled: ${name.trim()}`);
+    }
+  } else if (action === 'list') {
+    const schedules = await db.getSchedules();
+    if (!schedules.length) return console.log('[Schedule] No users scheduled');
+    for (const s of schedules) {
+      const last = s.last_sync ? `${s.last_error || `${s.last_new_submissions} new`} on ${s.last_sync}` : 'never';
+      const next = !s.enabled ? 'paused' : s.next_sync || 'now';
+      console.log(`[Schedule] ${s.username}: every ${formatInterval(s.interval_hours)}, last sync ${last}, next sync ${next}`);
+    }
+    const runs = await db.getScheduleRuns(null, 10);
+    if (runs.length) console.log('[Schedule] Recent syncs:');
+    runs.forEach(r => console.log(`    ${r.date} ${r.username}: ${r.error || `${r.new_submissions} new submission(s)`}`));
+  } else if (action === 'run') {
+    if (!await login()) return;
+    await startScheduler({ login });
+    console.log('[Schedule] Press Ctrl+C to stop');
+    await new Promise(r => process.once('SIGINT', r));
+    await stopScheduler();
+  } else {
+    console.log(`Unknown schedule action: ${action}`);
+  }
+}
+
+async function cookies(_values, [action, path]) {
+  if (action === 'clear') {
+    await clearCookies();
+    return console.log('[Data] Saved login removed');
+  }
+  if (!path) return console.log(`[Warn] A file is required: cookies ${action || 'import'} <file>`);
+  if (action === 'import') {
+    const faCookies = await readCookieFile(path).catch(e => console.log(`[Warn] ${e.message}`));
+    if (!faCookies) return;
+    if (!await isSiteActive()) return console.log(FA_DOWN);
+    if (!await loginWithCookies(faCookies))
+      return console.log('[Warn] Cookies are expired or invalid, login was not saved');
+    await saveCookies(faCookies);
+    console.log(`[Data] Login saved for: ${username}`);
+  } else if (action === 'export') {
+    let faCookies = await getCookies();
+    if (!faCookies.length) faCookies = await getProfileCookies();
+    if (!faCookies.length) return console.log('[Warn] No login found to export');
+    await writeCookieFile(path, faCookies);
+    console.log(`[Data] Login exported to: ${path}`);
+  } else {
+    console.log(`Unknown cookies action: ${action}`);
+  }
+}
+
+const commands = {
+  scrape: {
+    run: scrape,
+    showProgress: true,
+    options: {
+      users: { type: 'string', short: 'u' },
+      watchlist: { type: 'string' },
+      favorites: { type: 'boolean' },
+      journals: { type: 'boolean' },
+      'no-gallery': { type: 'boolean' },
+      'no-comments': { type: 'boolean' },
+      'full-resync': { type: 'boolean' },
+      concurrency: { type: 'string' },
+    },
+  },
+  download: {
+    run: download,
+    showProgress: true,
+    options: {
+      file: { type: 'string', short: 'f' },
+      urls: { type: 'string' },
+      search: { type: 'string', short: 's' },
+      pages: { type: 'string' },
+      'no-comments': { type: 'boolean' },
+    },
+  },
+  repair: { run: repair, showProgress: true, options: {} },
+  recheck: {
+    run: recheck,
+    showProgress: true,
+    options: {
+      users: { type: 'string', short: 'u' },
+    },
+  },
+  verify: {
+    run: verify,
+    showProgress: true,
+    options: {
+      deep: { type: 'boolean' },
+    },
+  },
+  export: {
+    run: exportAccount,
+    showProgress: true,
+    options: {
+      user: { type: 'string', short: 'u' },
+      'no-date': { type: 'boolean' },
+      folders: { type: 'boolean' },
+    },
+  },
+  status: { run: status, options: {} },
+  duplicates: {
+    run: duplicates,
+    showProgress: true,
+    options: {
+      hardlink: { type: 'boolean' },
+    },
+  },
+  serve: {
+    run: serve,
+    options: {
+      port: { type: 'string', short: 'p' },
+      password: { type: 'string' },
+      control: { type: 'boolean' },
+      schedule: { type: 'boolean' },
+    },
+  },
+  schedule: {
+    run: schedule,
+    showProgress: true,
+    allowPositionals: true,
+    options: {
+      users: { type: 'string', short: 'u' },
+      every: { type: 'string' },
+      favorites: { type: 'boolean' },
+      journals: { type: 'boolean' },
+      'no-gallery': { type: 'boolean' },
+      'no-comments': { type: 'boolean' },
+    },
+  },
+  cookies: { run: cookies, options: {}, allowPositionals: true },
+};
+
+function handleInterrupt() {
+  if (stop.now) process.exit(130);
+  stop.now = true;
+  console.log('[Data] Stopping, press Ctrl+C again to quit now...');
+}
+
+/**
+ * Runs the given command without the startup window.
+ * @param {Array<String>} args Command line arguments
+ */
+export async function runCommand(args) {
+  const [name, ...rest] = args;
+  const command = commands[name];
+  if (!command) {
+    if (!/^(help|-h|--help)$/i.test(name)) console.log(`Unknown command: ${name}`);
+    return console.log(helpText);
+  }
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args: rest, options: command.options, allowPositionals: !!command.allowPositionals }));
+  } catch (e) {
+    console.log(e.message);
+    return console.log(helpText);
+  }
+  setup();
+  await db.init();
+  process.on('SIGINT', handleInterrupt);
+  if (command.showProgress) initConsoleProgress();
+  await command.run(values, positionals).catch(console.error);
+  stopConsoleProgress();
+  process.removeListener('SIGINT', handleInterrupt);
+  await db.close();
+  await teardown();
+}
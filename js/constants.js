@@ -23,6 +23,7 @@ export const LOG_DIR = './fa_gallery_downloader/logs';
 export const ARTIST_DIR = './Artist';
 export const EXPORT_DIR = './fa_gallery_downloader/exports';
 export const DB_LOCATION = './fa_gallery_downloader/databases/fa-gallery-downloader.db';
+export const COOKIE_KEY_LOCATION = './fa_gallery_downloader/databases/cookie.key';
 export const RELEASE_CHECK = 'https://github.com/SpottedSqueak/FA-Gallery-Downloader/releases';
 
 export const FA_DOWN = `[Warn] FA appears to be down, try again later`;
@@ -0,0 +1,203 @@
+import { stop, appEvents } from './utils.js';
+import * as db from './database-interface.js';
+import { startDataScraping, resumeWaitingJobs, repairDatabase, isInProgress, updateJob, queueUsers } from './scrape-data.js';
+import { init as exportData, initFolders as exportFolders } from './export-data.js';
+import { sendJSON, sendError, readBody } from './serve-gallery.js';
+
+const maxLogLines = 500;
+const keepAliveTime = 30 * 1000;
+// Ansi escape codes, left in by some log lines
+// eslint-disable-next-line no-control-regex -- matching the escape character is the point
+const ansiCodes = /\x1b\[[\d;]*[A-Za-z]/g;
+
+// Repairs and exports, users go in the saved download queue instead
+const tasks = [];
+const recentLog = [];
+// Latest update for each progress bar
+const progress = {};
+// Open Server-Sent Events streams
+const clients = new Set();
+let current = null;
+let nextID = 1;
+let login = async () => true;
+
+function sendEvent(event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(res => res.write(message));
+}
+async function getStatus() {
+  return {
+    running: !!current || isInProgress(),
+    stopping: stop.now,
+    current,
+    tasks,
+    jobs: await db.getJobs(),
+    schedules: await db.getSchedules(),
+    progress,
+  };
+}
+async function sendStatus() {
+  if (clients.size) sendEvent('status', await getStatus());
+}
+
+appEvents.on('log', (text) => {
+  const lines = text.replace(ansiCodes, '').split('\n').filter(l => l.trim());
+  if (!lines.length) return;
+  const time = new Date().toISOString();
+  lines.forEach(line => recentLog.push({ time, line }));
+  recentLog.splice(0, recentLog.length - maxLogLines);
+  if (clients.size) lines.forEach(line => sendEvent('log', { time, line }));
+});
+appEvents.on('progress', (data) => {
+  progress[data.bar] = data;
+  sendEvent('progress', data);
+});
+
+const actions = {
+  repair: () => repairDatabase(),
+  export: ({ name, includeDate, folders }) => folders ? exportFolders(name) : exportData(name, includeDate),
+};
+/**
+ * Runs queued tasks one at a time, until there are none left or stopped.
+ */
+async function runNext() {
+  if (current || !tasks.length) return;
+  // Downloads are running, check back once they're done
+  if (isInProgress()) return setTimeout(runNext, 5000);
+  current = { ...tasks.shift(), startedAt: new Date().toISOString() };
+  stop.reset();
+  sendStatus();
+  try {
+    if (!await login()) throw new Error('Not logged in');
+    await actions[current.action](current.options);
+  } catch (e) {
+    console.log(`[Warn] ${current.action} failed: ${e?.message || e}`);
+  }
+  current = null;
+  if (stop.now) tasks.length = 0;
+  sendStatus();
+  if (tasks.length) return runNext();
+  // Users queued while an export was running
+  if (!stop.now && !isInProgress() && await db.getNextJob()) {
+    resumeWaitingJobs().finally(sendStatus);
+  }
+}
+function addTask(action, options) {
+  const task = { id: nextID++, action, options, queuedAt: new Date().toISOString() };
+  tasks.push(task);
+  sendStatus();
+  runNext();
+  return task;
+}
+function getUsers(users = '') {
+  const names = Array.isArray(users) ? users : `${users}`.split(',');
+  return names.map(n => `${n}`.trim()).filter(Boolean);
+}
+/**
+ * Browsers can't send JSON to another site without asking first, which this
+ * server never answers, so other pages can't trigger anything here.
+ */
+function isJSON(req) {
+  return /^application\/json/i.test(req.headers['content-type'] || '');
+}
+async function streamEvents(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive',
+  });
+  res.write(`event: status\ndata: ${JSON.stringify(await getStatus())}\n\n`);
+  clients.add(res);
+  // Comments keep proxies and idle timeouts from dropping the connection
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), keepAliveTime);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    clients.delete(res);
+  });
+}
+async function queueScrape(req, res) {
+  const { users, name, scrapeGallery = true, scrapeComments = true, scrapeFavorites = false, scrapeJournals = false, fullResync = false, concurrency } = await readBody(req);
+  const names = getUsers(users || name);
+  if (!names.length) return sendError(res, 400, 'No users given');
+  await queueUsers(names, {
+    scrapeGallery: !!scrapeGallery,
+    scrapeComments: !!scrapeComments,
+    scrapeFavorites: !!scrapeFavorites,
+    scrapeJournals: !!scrapeJournals,
+    fullResync: !!fullResync,
+  });
+  // Already downloading picks up the new users by itself
+  if (!isInProgress() && !current) {
+    if (!await login()) return sendError(res, 503, 'Queued, but not logged in to start downloading');
+    stop.reset();
+    startDataScraping({ name: '', scrapeComments: !!scrapeComments, concurrency: +concurrency || 0 })
+      .catch(e => console.log(`[Warn] Downloads failed: ${e?.message || e}`))
+      .finally(sendStatus);
+  }
+  sendStatus();
+  sendJSON(res, await getStatus(), 202);
+}
+async function queueExport(req, res) {
+  const { name, includeDate = true, folders = false } = await readBody(req);
+  if (!name) return sendError(res, 400, 'No account name given');
+  sendJSON(res, addTask('export', { name: `${name}`, includeDate: !!includeDate, folders: !!folders }), 202);
+}
+function removeTask(res, id) {
+  const index = tasks.findIndex(task => task.id === +id);
+  if (index === -1) return sendError(res, 404, 'Task not queued');
+  const [task] = tasks.splice(index, 1);
+  sendStatus();
+  sendJSON(res, task);
+}
+async function changeJob(req, res, [id]) {
+  const { action } = await readBody(req);
+  if (action === 'clear' || !await updateJob(+id, action)) return sendError(res, 400, `Can't ${action || 'change'} job ${id}`);
+  sendStatus();
+  sendJSON(res, await getStatus());
+}
+async function stopAll(res) {
+  tasks.length = 0;
+  stop.now = true;
+  console.log('Stopping data scraping...');
+  sendStatus();
+  sendJSON(res, await getStatus());
+}
+/**
+ * Routes for controlling downloads over HTTP, added to the gallery server.
+ * @param {Object} options
+ * @param {Function} options.login Logs in before each job, resolving to false if that failed
+ * @returns {Array<Object>}
+ */
+export function getControlRoutes(options = {}) {
+  if (options.login) login = options.login;
+  const post = (route, handler) => ({
+    method: 'POST',
+    route,
+    handler: (req, res, ...rest) => isJSON(req) ? handler(req, res, ...rest) : sendError(res, 415, 'Send JSON'),
+  });
+  return [
+    { method: 'GET', route: /^\/api\/control\/status$/, handler: async (_req, res) => sendJSON(res, await getStatus()) },
+    { method: 'GET', route: /^\/api\/control\/log$/, handler: (_req, res, _match, params) => {
+      const lines = Math.min(+params.get('lines') || 100, maxLogLines);
+      sendJSON(res, recentLog.slice(-lines));
+    } },
+    { method: 'GET', route: /^\/api\/control\/events$/, handler: streamEvents },
+    post(/^\/api\/control\/queue$/, queueScrape),
+    post(/^\/api\/control\/jobs\/(\d+)$/, changeJob),
+    post(/^\/api\/control\/jobs\/clear$/, async (_req, res) => {
+      await updateJob(null, 'clear');
+      sendJSON(res, await getStatus());
+    }),
+    post(/^\/api\/control\/repair$/, (_req, res) => sendJSON(res, addTask('repair', {}), 202)),
+    post(/^\/api\/control\/export$/, queueExport),
+    post(/^\/api\/control\/stop$/, (_req, res) => stopAll(res)),
+    { method: 'DELETE', route: /^\/api\/control\/tasks\/(\d+)$/, handler: (_req, res, [id]) => removeTask(res, id) },
+  ];
+}
+/**
+ * Ends all open event streams, so the server can close.
+ */
+export function closeEventStreams() {
+  clients.forEach(res => res.end());
+  clients.clear();
+}
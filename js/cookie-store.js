@@ -0,0 +1,138 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { dirname, extname } from 'node:path';
+import fs from 'fs-extra';
+import * as db from './database-interface.js';
+import { COOKIE_KEY_LOCATION } from './constants.js';
+
+const cookieNames = ['a', 'b'];
+const faDomain = /(^|\.)furaffinity\.net$/i;
+const algorithm = 'aes-256-gcm';
+
+/**
+ * Gets the key used to encrypt the stored cookies, creating one if needed.
+ * It's kept outside of the database, so a copied database alone can't log in.
+ * @returns {Promise<Buffer>}
+ */
+async function getKey() {
+  if (await fs.pathExists(COOKIE_KEY_LOCATION)) {
+    return Buffer.from(await fs.readFile(COOKIE_KEY_LOCATION, 'utf8'), 'base64');
+  }
+  const key = randomBytes(32);
+  await fs.ensureDir(dirname(COOKIE_KEY_LOCATION));
+  await fs.writeFile(COOKIE_KEY_LOCATION, key.toString('base64'), { mode: 0o600 });
+  return key;
+}
+async function encrypt(text) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(algorithm, await getKey(), iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join(':');
+}
+async function decrypt(text) {
+  const [iv, tag, data] = text.split(':').map(s => Buffer.from(s, 'base64'));
+  const decipher = createDecipheriv(algorithm, await getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Reads cookies from a Netscape formatted cookies.txt file.
+ * @param {String} text
+ * @returns {Array<Object>}
+ */
+function parseNetscapeCookies(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.replace(/^#HttpOnly_/i, ''))
+    .filter(line => line.trim() && !line.startsWith('#'))
+    .map(line => {
+      const [domain, , path, secure, expires, name, value = ''] = line.split('\t');
+      return { domain, path, secure: /true/i.test(secure), expires: +expires, name, value };
+    });
+}
+/**
+ * Reads cookies from a JSON export, either an array of cookie objects (as
+ * made by most browser extensions) or a plain { a, b } object.
+ * @param {String} text
+ * @returns {Array<Object>}
+ */
+function parseJSONCookies(text) {
+  const json = JSON.parse(text);
+  if (!Array.isArray(json)) {
+    return cookieNames.map(name => ({ name, value: json[name], domain: '.furaffinity.net' }));
+  }
+  return json.map(c => ({
+    ...c,
+    expires: c.expires ?? c.expirationDate,
+  }));
+}
+function formatNetscapeCookies(cookies) {
+  const lines = cookies.map(c => [
+    c.domain, c.domain.startsWith('.') ? 'TRUE' : 'FALSE', c.path || '/', c.secure ? 'TRUE' : 'FALSE', Math.floor(c.expires || 0), c.name, c.value,
+  ].join('\t'));
+  return ['# Netscape HTTP Cookie File', ...lines, ''].join('\n');
+}
+function formatJSONCookies(cookies) {
+  return JSON.stringify(cookies.map(c => ({
+    name: c.name,
+    value: c.value,
+    domain: c.domain,
+    path: c.path || '/',
+    secure: !!c.secure,
+    httpOnly: true,
+    expirationDate: Math.floor(c.expires || 0),
+  })), null, 2);
+}
+function isJSONFile(path, text = '') {
+  return /\.json$/i.test(extname(path)) || /^\s*[[{]/.test(text);
+}
+
+/**
+ * Reads the FA login cookies from a cookies.txt or JSON cookie export.
+ * @param {String} path Location of the file
+ * @returns {Promise<Array<Object>>} The 'a' and 'b' cookies
+ */
+export async function readCookieFile(path) {
+  const text = await fs.readFile(path, 'utf8');
+  const cookies = isJSONFile(path, text) ? parseJSONCookies(text) : parseNetscapeCookies(text);
+  const faCookies = cookies.filter(c => cookieNames.includes(c.name) && c.value && faDomain.test(c.domain || ''));
+  if (!cookieNames.every(name => faCookies.some(c => c.name === name)))
+    throw new Error(`Both the 'a' and 'b' FA cookies are needed, found: ${faCookies.map(c => c.name).join(', ') || 'none'}`);
+  return cookieNames.map(name => faCookies.find(c => c.name === name));
+}
+/**
+ * Writes the given cookies to a file, as JSON if the file name ends in
+ * '.json' or as Netscape cookies.txt otherwise.
+ * @param {String} path Location of the file
+ * @param {Array<Object>} cookies
+ */
+export async function writeCookieFile(path, cookies) {
+  const text = isJSONFile(path) ? formatJSONCookies(cookies) : formatNetscapeCookies(cookies);
+  await fs.ensureDir(dirname(path));
+  await fs.writeFile(path, text, { mode: 0o600 });
+}
+/**
+ * Encrypts and saves the given cookies to the database.
+ * @param {Array<Object>} cookies
+ */
+export async function saveCookies(cookies) {
+  const data = cookies.map(({ name, value, domain, path, secure, expires }) => ({ name, value, domain, path, secure, expires }));
+  return db.saveStoredCookies(await encrypt(JSON.stringify(data)));
+}
+/**
+ * Gets the saved cookies from the database.
+ * @returns {Promise<Array<Object>>} Empty if none are saved
+ */
+export async function getCookies() {
+  const stored = await db.getStoredCookies();
+  if (!stored) return [];
+  return decrypt(stored)
+    .then(JSON.parse)
+    .catch(() => {
+      console.log('[Warn] Saved cookies could not be decrypted, please import them again');
+      return [];
+    });
+}
+export function clearCookies() {
+  return db.saveStoredCookies(null);
+}
@@ -4,6 +4,7 @@ import fs from 'fs-extra';
 import process from 'node:process';
 import { DB_LOCATION as dbLocation } from './constants.js';
 import { upgradeDatabase } from './database-upgrade.js';
+import { parseSearchTerm } from './search-query.js';
 
 const { open } = sqlite;
 
@@ -143,22 +144,53 @@ async function genericInsert(table, columns, placeholders, data) {
   }
 }
 
+// Transactions waiting for the connection, as SQLite can't nest them
+let transactionQueue = Promise.resolve();
 /**
- * Deletes a submission from the database
- * @param {string} url - The URL of the submission to delete
- * @returns {Promise<void>} - Result of the operation
+ * Runs work in a transaction, after any other transaction has finished.
+ * The work is rolled back if it throws.
+ * @template T
+ * @param {() => Promise<T>} work
+ * @returns {Promise<T>} - What the work returned
  */
-export async function deleteSubmission(url) {
+function inTransaction(work) {
+  const result = transactionQueue.then(async () => {
+    await db.run('BEGIN TRANSACTION');
+    try {
+      const value = await work();
+      await db.run('COMMIT');
+      return value;
+    } catch (error) {
+      await db.run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  });
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Records that a submission was removed from FA, or that it's back. The
+ * metadata and any downloaded file are kept either way.
+ * @param {String} url - The URL of the submission
+ * @param {Boolean} isDeleted
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export async function setSubmissionDeleted(url, isDeleted = true) {
   try {
     if (!validateInput(url, 'string')) {
-      throw new Error('Invalid URL for deletion');
+      throw new Error('Invalid URL for deleted state');
     }
     
-    dbLogger(LOG_LEVELS.INFO, 'Deleting submission', { url });
+    dbLogger(LOG_LEVELS.INFO, 'Setting submission deleted state', { url, isDeleted });
     
-    return await db.run(`DELETE FROM subdata WHERE url = ?`, [url]);
+    return await db.run(`
+      UPDATE subdata
+      SET deleted_at = CASE WHEN ? THEN COALESCE(deleted_at, ?) END
+      WHERE url = ?
+    `, [isDeleted ? 1 : 0, new Date().toISOString(), url]);
   } catch (error) {
-    dbLogger(LOG_LEVELS.ERROR, 'Error deleting submission', { 
+    dbLogger(LOG_LEVELS.ERROR, 'Error setting submission deleted state', { 
       url, 
       error: error.message,
       stack: error.stack
@@ -166,12 +198,96 @@ export async function deleteSubmission(url) {
     throw error;
   }
 }
+/**
+ * Gets the saved version of a submission, to compare against FA.
+ * @param {String} url
+ * @returns {Promise<Object|undefined>}
+ */
+export function getSubmissionVersion(url) {
+  return db.get(`
+    SELECT id, title, desc, tags, tags_version, content_url, content_name, deleted_at
+    FROM subdata
+    WHERE url = ?
+  `, [url]);
+}
+/**
+ * Saves the previous version of a submission that was edited on FA.
+ * @param {String} submissionId
+ * @param {Object} previous - The saved version, from getSubmissionVersion
+ * @param {Array<String>} changed - Which fields changed
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export async function saveSubmissionHistory(submissionId, previous, changed) {
+  try {
+    dbLogger(LOG_LEVELS.INFO, 'Saving submission history', { submissionId, changed });
+    
+    const { title, desc, tags, content_url, content_name } = previous;
+    return await db.run(`
+      INSERT INTO submission_history (submission_id, date, changed, title, desc, tags, content_url, content_name)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [submissionId, new Date().toISOString(), changed.join(','), title, desc, tags, content_url, content_name]);
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error saving submission history', { 
+      submissionId, 
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+/**
+ * Gets the files of earlier versions of submissions, which are kept when the
+ * file is replaced on FA.
+ * @returns {Promise<Array>} - account_name, username and content_name of each file
+ */
+export function getHistoryFiles() {
+  return db.all(`
+    SELECT DISTINCT subdata.account_name, subdata.username, submission_history.content_name
+    FROM submission_history
+    JOIN subdata ON subdata.id = submission_history.submission_id
+    WHERE submission_history.content_name IS NOT NULL
+  `);
+}
+/**
+ * Gets the links of submissions with saved metadata, to check on FA again.
+ * Submissions already known to be deleted are left out.
+ * @param {String} [username] - Only this user's submissions
+ * @returns {Promise<Array>} - Rows with the url of each submission
+ */
+export function getSavedSubmissionLinks(username) {
+  return db.all(`
+    SELECT url
+    FROM subdata
+    WHERE id IS NOT NULL
+    AND deleted_at IS NULL
+    AND (? IS NULL OR username = ? OR account_name = ?)
+    ORDER BY CAST(id AS INTEGER) DESC
+  `, [username || null, username, username]);
+}
+/**
+ * Deletes all rows left without a submission URL, as they can never be scraped.
+ * @returns {Promise<sqlite.RunResult>} - Result of the delete operation
+ */
+export async function deleteBlankSubmissionInfo() {
+  try {
+    dbLogger(LOG_LEVELS.INFO, 'Deleting blank submissions');
+    
+    return await db.run(`DELETE FROM subdata WHERE url IS NULL OR url = ''`);
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error deleting blank submissions', { 
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
 /**
  * Marks the given content_url as saved (downloaded).
  * @param {string} content_url - URL of the content
+ * @param {Object} [file] - SHA-256 hash and size in bytes of the saved file
  * @returns {Promise<sqlite.RunResult>} - Result of the update operation
  */
-export async function setContentSaved(content_url) {
+export async function setContentSaved(content_url, { hash = null, size = null } = {}) {
   try {
     if (!validateInput(content_url, 'string')) {
       throw new Error('Invalid content URL for saving status update');
@@ -183,9 +299,12 @@ export async function setContentSaved(content_url) {
       UPDATE subdata
       SET
         is_content_saved = 1,
-        moved_content = 1
+        moved_content = 1,
+        content_hash = COALESCE(?, content_hash),
+        content_size = COALESCE(?, content_size),
+        date_downloaded = ?
       WHERE content_url = ?
-    `, [content_url]);
+    `, [hash, size, new Date().toISOString(), content_url]);
   } catch (error) {
     dbLogger(LOG_LEVELS.ERROR, 'Error setting content as saved', { 
       content_url, 
@@ -195,6 +314,82 @@ export async function setContentSaved(content_url) {
     throw error;
   }
 }
+/**
+ * Saves the SHA-256 hash and size of an already downloaded file.
+ * @param {string} content_url - URL of the content
+ * @param {Object} file - Hash and size in bytes of the saved file
+ * @returns {Promise<sqlite.RunResult>} - Result of the update operation
+ */
+export async function setContentHash(content_url, { hash, size }) {
+  try {
+    if (!validateInput(content_url, 'string') || !validateInput(hash, 'string')) {
+      throw new Error('Invalid content URL or hash for update');
+    }
+
+    dbLogger(LOG_LEVELS.DEBUG, 'Setting content hash', { content_url });
+
+    return await db.run(`
+      UPDATE subdata
+      SET
+        content_hash = ?,
+        content_size = ?
+      WHERE content_url = ?
+    `, [hash, size, content_url]);
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error setting content hash', {
+      content_url,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+/**
+ * Gets all downloaded submissions that haven't been hashed yet.
+ * @returns {Promise<Array>} All matching Database rows
+ */
+export function getUnhashedContent() {
+  return db.all(`
+    SELECT content_url, content_name, username, account_name, is_favorite, is_scrap
+    FROM subdata
+    WHERE is_content_saved = 1
+    AND content_hash IS NULL
+    AND content_name IS NOT NULL
+  `);
+}
+/**
+ * Gets the file info of every submission with content, downloaded or not.
+ * @returns {Promise<Array>} All matching Database rows
+ */
+export function getAllContentFiles() {
+  return db.all(`
+    SELECT content_url, content_name, username, account_name, is_favorite, is_scrap, is_content_saved, content_hash, content_size
+    FROM subdata
+    WHERE content_name IS NOT NULL
+    AND content_name != ''
+  `);
+}
+/**
+ * Gets all downloaded submissions whose file is saved more than once,
+ * grouped together by hash.
+ * @returns {Promise<Array>} All matching Database rows, largest files first
+ */
+export function getDuplicateContent() {
+  return db.all(`
+    SELECT id, title, username, account_name, content_url, content_name, content_hash, content_size, is_favorite, is_scrap
+    FROM subdata
+    WHERE content_hash IN (
+      SELECT content_hash
+      FROM subdata
+      WHERE content_hash IS NOT NULL
+      AND is_content_saved = 1
+      GROUP BY content_hash
+      HAVING COUNT(*) > 1
+    )
+    AND is_content_saved = 1
+    ORDER BY content_size DESC, content_hash, rowid
+  `);
+}
 /**
  * Marks the given content_url as not saved (invalid file).
  * @param {string} content_url - URL of the content
@@ -451,12 +646,696 @@ export function saveComments(comments) {
   `, ...data);
 }
 /**
- * Saves user's favorites with transaction support
+ * Creates blank entries in the database for all given journal URLs
+ * for later updating.
+ * @param {Array<String>} links 
+ * @param {String} username 
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export function saveJournalLinks(links, username) {
+  let placeholder = [];
+  const data = links.reduce((acc, url) => {
+    let data = [url.split('journal/')[1].split('/')[0], url, username, username.replace(/_/gi, '')];
+    let marks = `(${data.map(()=>'?').join(',')})`;
+    acc.push(...data);
+    placeholder.push(marks);
+    return acc;
+  }, []);
+  return genericInsert('journaldata', 'id, url, username, account_name', placeholder, data);
+}
+/**
+ * Saves the scraped data for the given journal.
+ * @param {String} id - Journal ID
+ * @param {Object} d - Journal title, date and description
+ * @returns {Promise<sqlite.RunResult>} - Result of the update operation
+ */
+export async function saveJournalData(id, { title, date, desc }) {
+  try {
+    if (!validateInput(id, 'string')) {
+      throw new Error('Invalid journal ID for update');
+    }
+    
+    dbLogger(LOG_LEVELS.DEBUG, 'Updating journal', { id });
+    
+    return await db.run(`
+      UPDATE journaldata
+      SET
+        title = ?,
+        date = ?,
+        desc = ?,
+        is_scraped = 1
+      WHERE id = ?
+    `, [title, date, desc, id]);
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error updating journal', { 
+      id, 
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+export function saveJournalComments(comments) {
+  let placeholder = [];
+  const data = comments.reduce((acc, c) => {
+    let data = [
+      c.id,
+      c.journal_id,
+      c.width,
+      c.username,
+      c.account_name,
+      c.desc,
+      c.subtitle,
+      c.date,
+    ];
+    let marks = `(${data.map(()=>'?').join(',')})`;
+    acc.push(...data);
+    placeholder.push(marks);
+    return acc;
+  }, []);
+  return genericInsert('journalcomments', 'id, journal_id, width, username, account_name, desc, subtitle, date', placeholder, data);
+}
+/**
+ * Adds a new dated snapshot of the given user's profile page.
+ * @param {Object} p - Profile data; stats, contacts and shouts are stored as JSON
+ * @returns {Promise<sqlite.RunResult>} - Result of the insert operation
+ */
+export async function saveUserProfile(p) {
+  try {
+    if (!validateInput(p?.account_name, 'string')) {
+      throw new Error('Invalid account name for profile');
+    }
+
+    dbLogger(LOG_LEVELS.DEBUG, 'Saving user profile', { account_name: p.account_name });
+
+    const data = [
+      p.username,
+      p.account_name,
+      p.display_name,
+      p.user_title,
+      p.date_joined,
+      p.avatar_url,
+      p.avatar_name,
+      p.banner_url,
+      p.banner_name,
+      p.profile,
+      JSON.stringify(p.stats || {}),
+      JSON.stringify(p.contacts || []),
+      p.featured_url,
+      p.featured_title,
+      JSON.stringify(p.shouts || []),
+    ];
+    return await genericInsert(
+      'userprofile',
+      'username, account_name, display_name, user_title, date_joined, avatar_url, avatar_name, banner_url, banner_name, profile, stats, contacts, featured_url, featured_title, shouts',
+      [`(${data.map(() => '?').join(',')})`],
+      data
+    );
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error saving user profile', {
+      account_name: p?.account_name,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+/**
+ * Gets all saved snapshots of the given user's profile, newest first.
+ * @param {String} name - Username or account name
+ * @returns {Promise<Array>} - Profile snapshots, with stats, contacts and shouts parsed
+ */
+export async function getUserProfileHistory(name) {
+  const rows = await db.all(`
+    SELECT *
+    FROM userprofile
+    WHERE account_name = ? OR username = ?
+    ORDER BY id DESC
+  `, [name, name]);
+  return rows.map(row => ({
+    ...row,
+    stats: JSON.parse(row.stats || '{}'),
+    contacts: JSON.parse(row.contacts || '[]'),
+    shouts: JSON.parse(row.shouts || '[]'),
+  }));
+}
+/**
+ * Gets the most recently saved avatar for each of the given accounts.
+ * @param {Array<String>} names - Account names
+ * @returns {Promise<Array>} - Rows of account_name and avatar_name
+ */
+export function getSavedAvatars(names = []) {
+  if (!names.length) return Promise.resolve([]);
+  return db.all(`
+    SELECT account_name, avatar_name
+    FROM userprofile
+    WHERE id IN (
+      SELECT MAX(id)
+      FROM userprofile
+      WHERE avatar_name IS NOT NULL AND avatar_name != ''
+      AND account_name IN (${names.map(() => '?').join(',')})
+      GROUP BY account_name
+    )
+  `, names);
+}
+/**
+ * Finds which of the given submission links are already saved. For favorites,
+ * only links already saved as one of that user's favorites count.
+ * @param {Array<String>} links - Submission URLs
+ * @param {String} [favUsername] - Check the favorites of this user instead
+ * @returns {Promise<Array>} - Rows with the url of each saved link
+ */
+export function getKnownLinks(links, favUsername) {
+  if (!links.length) return Promise.resolve([]);
+  const marks = links.map(() => '?').join(',');
+  if (favUsername) {
+    return db.all(`
+      SELECT url
+      FROM favorites
+      WHERE LOWER(username) = LOWER(?)
+      AND removed_date IS NULL
+      AND url IN (${marks})
+    `, [favUsername, ...links]);
+  }
+  return db.all(`
+    SELECT url
+    FROM subdata
+    WHERE url IN (${marks})
+  `, links);
+}
+/**
+ * Gets when the given gallery folder was last walked, and when it was last
+ * walked all the way to the end.
+ * @param {String} username
+ * @param {String} folder - One of 'gallery', 'scraps', 'favorites' or 'folder-<id>'
+ * @returns {Promise<Object|undefined>} - last_sync and last_full_sync
+ */
+export function getGallerySync(username, folder) {
+  return db.get(`
+    SELECT last_sync, last_full_sync
+    FROM gallerysync
+    WHERE username = ? AND folder = ?
+  `, [username.toLowerCase(), folder]);
+}
+/**
+ * Records that the given gallery folder was just walked.
+ * @param {String} username
+ * @param {String} folder - One of 'gallery', 'scraps', 'favorites' or 'folder-<id>'
+ * @param {Boolean} isFullSync - If every page was walked
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export function setGallerySynced(username, folder, isFullSync) {
+  return db.run(`
+    INSERT INTO gallerysync (username, folder, last_sync, last_full_sync)
+    VALUES (?, ?, datetime('now'), CASE WHEN ? THEN datetime('now') END)
+    ON CONFLICT(username, folder) DO UPDATE SET
+      last_sync = excluded.last_sync,
+      last_full_sync = COALESCE(excluded.last_full_sync, last_full_sync)
+  `, [username.toLowerCase(), folder, isFullSync ? 1 : 0]);
+}
+/**
+ * Saves the gallery folders listed for a user. Folders that are no longer
+ * listed are marked as removed, keeping which submissions were in them.
+ * @param {String} username
+ * @param {Array<Object>} folders - id, title, group_name and url of each folder, in FA's order
+ * @returns {Promise<Number>} - How many folders were removed
+ */
+export async function saveFolders(username, folders) {
+  try {
+    if (!validateInput(username, 'string') || !validateInput(folders, 'array')) {
+      throw new Error('Invalid gallery folders');
+    }
+    
+    dbLogger(LOG_LEVELS.INFO, 'Saving gallery folders', { username, count: folders.length });
+    
+    return await inTransaction(async () => {
+      const now = new Date().toISOString();
+      for (const [position, folder] of folders.entries()) {
+        await db.run(`
+          INSERT INTO folders (id, username, title, group_name, position, url, last_seen)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(id) DO UPDATE SET
+            title = excluded.title,
+            group_name = excluded.group_name,
+            position = excluded.position,
+            url = excluded.url,
+            last_seen = excluded.last_seen,
+            removed_date = NULL
+        `, [folder.id, username.toLowerCase(), folder.title, folder.group_name || '', position, folder.url, now]);
+      }
+      const { changes } = await db.run(`
+        UPDATE folders
+        SET removed_date = ?
+        WHERE username = ?
+        AND removed_date IS NULL
+        AND (last_seen IS NULL OR last_seen < ?)
+      `, [now, username.toLowerCase(), now]);
+      return changes;
+    });
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error saving gallery folders', { 
+      username, 
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+/**
+ * Gets the gallery folders saved for a user, in FA's order with removed
+ * folders last.
+ * @param {String} username - Username or account name
+ * @returns {Promise<Array>} - Each folder, with how many submissions are in it
+ */
+export function getFolders(username) {
+  return db.all(`
+    SELECT
+      folders.*,
+      COUNT(folder_submissions.url) AS count
+    FROM folders
+    LEFT JOIN folder_submissions ON folder_submissions.folder_id = folders.id
+    WHERE folders.username = LOWER(?)
+    OR REPLACE(folders.username, '_', '') = LOWER(?)
+    GROUP BY folders.id
+    ORDER BY folders.removed_date IS NOT NULL, folders.position
+  `, [username, username]);
+}
+/**
+ * Gets which of the given links were already seen in a gallery folder.
+ * @param {String} folderId
+ * @param {Array<String>} links - Submission URLs
+ * @returns {Promise<Array>} - Rows with the url of each known link
+ */
+export function getKnownFolderLinks(folderId, links) {
+  if (!links.length) return Promise.resolve([]);
+  return db.all(`
+    SELECT url
+    FROM folder_submissions
+    WHERE folder_id = ?
+    AND removed_date IS NULL
+    AND url IN (${links.map(() => '?').join(',')})
+  `, [folderId, ...links]);
+}
+/**
+ * Records that the given submissions are in a gallery folder. Submissions
+ * already saved in it are marked as seen again.
+ * @param {String} folderId
+ * @param {Array<String>} links - Submission URLs
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export async function saveFolderLinks(folderId, links) {
+  try {
+    dbLogger(LOG_LEVELS.DEBUG, 'Saving folder submissions', { folderId, linkCount: links.length });
+    
+    await inTransaction(async () => {
+      const now = new Date().toISOString();
+      for (const url of links) {
+        await db.run(`
+          INSERT INTO folder_submissions (folder_id, url, first_seen, last_seen)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(folder_id, url) DO UPDATE SET
+            last_seen = excluded.last_seen,
+            removed_date = NULL
+        `, [folderId, url, now, now]);
+      }
+    });
+    return { changes: links.length };
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error saving folder submissions', { 
+      folderId, 
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+/**
+ * Marks submissions that a full walk of a gallery folder didn't see as
+ * removed from it.
+ * @param {String} folderId
+ * @param {String} walkStart - ISO date the walk started
+ * @returns {Promise<Number>} - How many submissions were removed from the folder
+ */
+export async function markRemovedFolderLinks(folderId, walkStart) {
+  const { changes } = await db.run(`
+    UPDATE folder_submissions
+    SET removed_date = ?
+    WHERE folder_id = ?
+    AND removed_date IS NULL
+    AND (last_seen IS NULL OR last_seen < ?)
+  `, [new Date().toISOString(), folderId, walkStart]);
+  return changes;
+}
+/**
+ * Gets every saved submission in a gallery folder, oldest first, to export.
+ * Submissions deleted from FA are kept, as deleting them takes them out of
+ * the folder too.
+ * @param {String} folderId
+ * @returns {Promise<Array>}
+ */
+export function getFolderSubmissions(folderId) {
+  return db.all(`
+    SELECT subdata.*
+    FROM folder_submissions
+    JOIN subdata ON subdata.url = folder_submissions.url
+    WHERE folder_submissions.folder_id = ?
+    AND subdata.id IS NOT NULL
+    AND (folder_submissions.removed_date IS NULL OR subdata.deleted_at IS NOT NULL)
+    ORDER BY IFNULL(subdata.date_uploaded, ''), CAST(subdata.id AS INTEGER)
+  `, [folderId]);
+}
+// Jobs that still have work to do, in the order they're shown
+const ACTIVE_JOB_STATES = `('running', 'queued', 'paused')`;
+/**
+ * Adds users to the end of the download queue. Users already waiting in the
+ * queue are skipped.
+ * @param {Array<String>} usernames
+ * @param {Object} options - What to download, saved as JSON
+ * @returns {Promise<Number>} - How many jobs were added
+ */
+export async function addJobs(usernames, options = {}) {
+  try {
+    if (!validateInput(usernames, 'array')) {
+      throw new Error('Invalid usernames for queueing');
+    }
+    
+    dbLogger(LOG_LEVELS.INFO, 'Adding jobs', { usernames });
+    
+    return await inTransaction(async () => {
+      let added = 0;
+      for (const username of usernames) {
+        const { changes } = await db.run(`
+          INSERT INTO jobs (username, options, state, position, date_added)
+          SELECT ?, ?, 'queued', next_position, ?
+          FROM (SELECT IFNULL(MAX(position), 0) + 1 AS next_position FROM jobs)
+          WHERE NOT EXISTS (
+            SELECT 1 FROM jobs WHERE username = ? AND state IN ${ACTIVE_JOB_STATES}
+          )
+        `, [username, JSON.stringify(options), new Date().toISOString(), username]);
+        added += changes;
+      }
+      return added;
+    });
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error adding jobs', { 
+      usernames, 
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+/**
+ * Gets every job that isn't finished, then the most recently finished ones.
+ * @returns {Promise<Array>} - Jobs, with their options parsed
+ */
+export async function getJobs() {
+  const jobs = await db.all(`
+    SELECT *
+    FROM jobs
+    WHERE state IN ${ACTIVE_JOB_STATES}
+    OR id IN (SELECT id FROM jobs WHERE state NOT IN ${ACTIVE_JOB_STATES} ORDER BY date_finished DESC LIMIT 20)
+    ORDER BY state NOT IN ${ACTIVE_JOB_STATES}, position
+  `);
+  return jobs.map(job => ({ ...job, options: JSON.parse(job.options || '{}') }));
+}
+/**
+ * Gets the queued job that should run next.
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getNextJob() {
+  const job = await db.get(`
+    SELECT *
+    FROM jobs
+    WHERE state = 'queued'
+    ORDER BY position
+    LIMIT 1
+  `);
+  return job && { ...job, options: JSON.parse(job.options || '{}') };
+}
+/**
+ * Updates the state of a job, recording when it started or finished.
+ * @param {Number} id
+ * @param {String} state - One of: queued, running, paused, done, failed, cancelled
+ * @param {String} [error] - Why the job failed
+ * @param {Number} [newSubmissions] - How many new submissions the job found
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export async function setJobState(id, state, error = null, newSubmissions = null) {
+  try {
+    if (!validateInput(id, 'number') || !validateInput(state, 'string')) {
+      throw new Error('Invalid job state update');
+    }
+    
+    dbLogger(LOG_LEVELS.DEBUG, 'Setting job state', { id, state });
+    
+    const now = new Date().toISOString();
+    return await db.run(`
+      UPDATE jobs
+      SET
+        state = ?,
+        last_error = COALESCE(?, last_error),
+        new_submissions = COALESCE(?, new_submissions),
+        date_started = CASE WHEN ? = 'running' THEN ? ELSE date_started END,
+        date_finished = CASE WHEN ? IN ('done', 'failed', 'cancelled') THEN ? END
+      WHERE id = ?
+    `, [state, error, newSubmissions, state, now, state, now, id]);
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error setting job state', { 
+      id, 
+      state,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+/**
+ * Puts a finished job back on the end of the queue.
+ * @param {Number} id
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export function requeueJob(id) {
+  return db.run(`
+    UPDATE jobs
+    SET
+      state = 'queued',
+      last_error = NULL,
+      new_submissions = NULL,
+      date_finished = NULL,
+      position = (SELECT IFNULL(MAX(position), 0) + 1 FROM jobs)
+    WHERE id = ?
+  `, [id]);
+}
+/**
+ * Swaps a waiting job with the one before or after it in the queue.
+ * @param {Number} id
+ * @param {Number} direction - -1 to move it up, 1 to move it down
+ * @returns {Promise<void>}
+ */
+export async function moveJob(id, direction) {
+  const job = await db.get(`SELECT id, position FROM jobs WHERE id = ?`, [id]);
+  if (!job) return;
+  const other = await db.get(`
+    SELECT id, position
+    FROM jobs
+    WHERE state IN ('queued', 'paused')
+    AND position ${direction < 0 ? '<' : '>'} ?
+    ORDER BY position ${direction < 0 ? 'DESC' : 'ASC'}
+    LIMIT 1
+  `, [job.position]);
+  if (!other) return;
+  await inTransaction(async () => {
+    await db.run(`UPDATE jobs SET position = ? WHERE id = ?`, [other.position, job.id]);
+    await db.run(`UPDATE jobs SET position = ? WHERE id = ?`, [job.position, other.id]);
+  });
+}
+/**
+ * Removes all finished and cancelled jobs.
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export function clearFinishedJobs() {
+  return db.run(`DELETE FROM jobs WHERE state NOT IN ${ACTIVE_JOB_STATES}`);
+}
+/**
+ * Jobs left running when the program was closed go back in the queue.
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export function resetRunningJobs() {
+  return db.run(`UPDATE jobs SET state = 'queued', date_started = NULL WHERE state = 'running'`);
+}
+/**
+ * Adds users to the sync schedule, or changes how often they're synced.
+ * New users are due right away, others keep counting from their last sync.
+ * @param {Array<String>} usernames
+ * @param {Number} intervalHours - Time between syncs
+ * @param {Object} options - What to download, saved as JSON
+ * @returns {Promise<Number>} - How many users were added or changed
+ */
+export async function saveSchedules(usernames, intervalHours, options = {}) {
+  try {
+    if (!validateInput(usernames, 'array') || !validateInput(intervalHours, 'number') || intervalHours < 1) {
+      throw new Error('Invalid schedule');
+    }
+
+    dbLogger(LOG_LEVELS.INFO, 'Saving schedules', { usernames, intervalHours });
+
+    return await inTransaction(async () => {
+      let saved = 0;
+      for (const username of usernames) {
+        const { changes } = await db.run(`
+          INSERT INTO schedules (username, interval_hours, options, enabled, date_added)
+          VALUES (?, ?, ?, 1, ?)
+          ON CONFLICT(username) DO UPDATE SET
+            interval_hours = excluded.interval_hours,
+            options = excluded.options,
+            enabled = 1,
+            next_sync = strftime('%Y-%m-%dT%H:%M:%fZ', last_sync, '+' || excluded.interval_hours || ' hours')
+        `, [username, Math.round(intervalHours), JSON.stringify(options), new Date().toISOString()]);
+        saved += changes;
+      }
+      return saved;
+    });
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error saving schedules', {
+      usernames,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+/**
+ * Gets every scheduled user, soonest first.
+ * @returns {Promise<Array>} - Schedules, with their options parsed
+ */
+export async function getSchedules() {
+  const schedules = await db.all(`
+    SELECT *
+    FROM schedules
+    ORDER BY enabled DESC, next_sync IS NOT NULL, next_sync, username
+  `);
+  return schedules.map(s => ({ ...s, options: JSON.parse(s.options || '{}') }));
+}
+/**
+ * Gets the enabled schedules that are due to sync.
+ * @param {String} now - ISO date to check against
+ * @returns {Promise<Array>}
+ */
+export async function getDueSchedules(now = new Date().toISOString()) {
+  const schedules = await db.all(`
+    SELECT *
+    FROM schedules
+    WHERE enabled = 1
+    AND (next_sync IS NULL OR next_sync <= ?)
+    ORDER BY next_sync IS NOT NULL, next_sync
+  `, [now]);
+  return schedules.map(s => ({ ...s, options: JSON.parse(s.options || '{}') }));
+}
+/**
+ * Pushes a schedule's next sync back a full interval from now, once it has
+ * been added to the download queue.
+ * @param {String} username
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export function setScheduleQueued(username) {
+  return db.run(`
+    UPDATE schedules
+    SET next_sync = strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '+' || interval_hours || ' hours')
+    WHERE username = ?
+  `, [username]);
+}
+/**
+ * Turns a schedule on or off. Turning it on makes it due right away if it
+ * was missed while off.
+ * @param {String} username
+ * @param {Boolean} enabled
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export function setScheduleEnabled(username, enabled) {
+  return db.run(`
+    UPDATE schedules
+    SET
+      enabled = ?,
+      -- Same ISO format as the dates saved from JS, so they compare as text
+      next_sync = CASE WHEN ? THEN strftime('%Y-%m-%dT%H:%M:%fZ', last_sync, '+' || interval_hours || ' hours') ELSE next_sync END
+    WHERE username = ?
+  `, [enabled ? 1 : 0, enabled ? 1 : 0, username]);
+}
+/**
+ * Makes a schedule due right away.
+ * @param {String} username
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export function setScheduleDue(username) {
+  return db.run(`UPDATE schedules SET next_sync = NULL WHERE username = ?`, [username]);
+}
+/**
+ * Removes users from the sync schedule, along with their sync history.
+ * @param {Array<String>} usernames
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export async function deleteSchedules(usernames) {
+  const marks = usernames.map(() => '?').join(',');
+  await db.run(`DELETE FROM schedule_runs WHERE username IN (${marks})`, usernames);
+  return db.run(`DELETE FROM schedules WHERE username IN (${marks})`, usernames);
+}
+/**
+ * Records a finished scheduled sync of a user.
+ * @param {String} username
+ * @param {Number} newSubmissions - How many new submissions were found
+ * @param {String} [error] - Why the sync failed
+ * @returns {Promise<void>}
+ */
+export async function saveScheduleRun(username, newSubmissions, error = null) {
+  try {
+    dbLogger(LOG_LEVELS.DEBUG, 'Saving schedule run', { username, newSubmissions });
+
+    const now = new Date().toISOString();
+    await inTransaction(async () => {
+      await db.run(`
+        INSERT INTO schedule_runs (username, date, new_submissions, error)
+        VALUES (?, ?, ?, ?)
+      `, [username, now, newSubmissions, error]);
+      await db.run(`
+        UPDATE schedules
+        SET last_sync = ?, last_new_submissions = ?, last_error = ?
+        WHERE username = ?
+      `, [now, newSubmissions, error, username]);
+    });
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error saving schedule run', {
+      username,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+/**
+ * Gets the most recent scheduled syncs.
+ * @param {String} [username] - Only this user's syncs
+ * @param {Number} [limit]
+ * @returns {Promise<Array>}
+ */
+export function getScheduleRuns(username = null, limit = 50) {
+  return db.all(`
+    SELECT *
+    FROM schedule_runs
+    WHERE ? IS NULL OR username = ?
+    ORDER BY date DESC
+    LIMIT ?
+  `, [username, username, limit]);
+}
+/**
+ * Saves user's favorites with transaction support. Favorites already saved
+ * are marked as seen again, and brought back if they had been removed.
  * @param {String} username - Username of the user
  * @param {Array<String>} links - Array of submission URLs marked as favorites
+ * @param {Object} [faveIds] - FA's fave ID for each URL, if known
  * @returns {Promise<sqlite.RunResult>} - Result of the insert operation
  */
-export async function saveFavorites(username, links) {
+export async function saveFavorites(username, links, faveIds = {}) {
   if (!validateInput(username, 'string') || !validateInput(links, 'array') || links.length === 0) {
     dbLogger(LOG_LEVELS.WARN, 'Invalid parameters for saving favorites', { username, linkCount: links?.length });
     return null;
@@ -464,54 +1343,43 @@ export async function saveFavorites(username, links) {
   
   dbLogger(LOG_LEVELS.INFO, 'Saving favorites', { username, linkCount: links.length });
   
-  // Start a transaction for atomic operation
+  // Skip invalid URLs
+  const validLinks = links.filter(url => validateInput(url, 'string'));
+  if (!validLinks.length) {
+    dbLogger(LOG_LEVELS.WARN, 'No valid favorites to save', { username });
+    return null;
+  }
+  
   try {
-    await db.run('BEGIN TRANSACTION');
-    
-    let placeholder = [];
-    const data = links.reduce((acc, val) => {
-      if (!validateInput(val, 'string')) {
-        return acc; // Skip invalid URLs
-      }
-      
-      // Create a unique ID by combining username and URL
-      let data = [`${username}_${val}`, username, val];
-      let marks = `(${data.map(() => '?').join(',')})`;
-      acc.push(...data);
-      placeholder.push(marks);
-      return acc;
-    }, []);
-    
-    if (placeholder.length === 0) {
-      dbLogger(LOG_LEVELS.WARN, 'No valid favorites to save', { username });
-      await db.run('ROLLBACK');
-      return null;
-    }
-    
-    // Insert favorites
-    await genericInsert('favorites', 'id, username, url', placeholder, data);
-    
-    // Also update the subdata table to mark these submissions as favorites
-    for (const url of links) {
-      if (validateInput(url, 'string')) {
+    await inTransaction(async () => {
+      const now = new Date().toISOString();
+      for (const url of validLinks) {
+        // Create a unique ID by combining username and URL
+        await db.run(`
+          INSERT INTO favorites (id, username, url, fave_id, first_seen, last_seen)
+          VALUES (?, ?, ?, ?, ?, ?)
+          ON CONFLICT(id) DO UPDATE SET
+            fave_id = COALESCE(excluded.fave_id, fave_id),
+            first_seen = COALESCE(first_seen, excluded.first_seen),
+            last_seen = excluded.last_seen,
+            removed_date = NULL
+        `, [`${username}_${url}`, username, url, faveIds[url] || null, now, now]);
+        
+        // Also mark the submission as a favorite, without taking it from
+        // whoever favorited it first
         await db.run(`
           UPDATE subdata
           SET 
             is_favorite = 1,
-            favorite_username = ?
+            favorite_username = COALESCE(favorite_username, ?)
           WHERE url = ?
         `, [username, url]);
       }
-    }
-    
-    // Commit the transaction
-    await db.run('COMMIT');
-    dbLogger(LOG_LEVELS.INFO, 'Favorites saved successfully', { username, count: links.length });
-    return { changes: links.length };
+    });
+    dbLogger(LOG_LEVELS.INFO, 'Favorites saved successfully', { username, count: validLinks.length });
+    return { changes: validLinks.length };
     
   } catch (error) {
-    // Rollback in case of any error
-    await db.run('ROLLBACK');
     dbLogger(LOG_LEVELS.ERROR, 'Error saving favorites', { 
       username, 
       error: error.message,
@@ -520,6 +1388,41 @@ export async function saveFavorites(username, links) {
     throw error;
   }
 }
+/**
+ * Marks a user's favorites that a walk of their favorites should have seen,
+ * but didn't, as removed. A walk of every page checks all of them, otherwise
+ * only those at or above the oldest fave ID the walk reached.
+ * @param {String} username
+ * @param {String} walkStart - ISO date the walk started, anything seen since is still a favorite
+ * @param {Number|null} oldestFaveId - Lowest fave ID seen, or null if every page was walked
+ * @returns {Promise<Number>} - How many favorites were removed
+ */
+export async function markRemovedFavorites(username, walkStart, oldestFaveId = null) {
+  try {
+    if (!validateInput(username, 'string') || !validateInput(walkStart, 'string')) {
+      throw new Error('Invalid favorites walk');
+    }
+    
+    dbLogger(LOG_LEVELS.DEBUG, 'Marking removed favorites', { username, oldestFaveId });
+    
+    const { changes } = await db.run(`
+      UPDATE favorites
+      SET removed_date = ?
+      WHERE LOWER(username) = LOWER(?)
+      AND removed_date IS NULL
+      AND (last_seen IS NULL OR last_seen < ?)
+      AND (? IS NULL OR fave_id >= ?)
+    `, [new Date().toISOString(), username, walkStart, oldestFaveId, oldestFaveId]);
+    return changes;
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error marking removed favorites', { 
+      username, 
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
 /**
  * Set all user settings
  * @param {Object} userSettings 
@@ -574,59 +1477,272 @@ export async function deleteOwnedAccount(username) {
   }
 }
 
+/**
+ * Adds the conditions for only showing the given user's gallery or favorites.
+ * @param {Array<String>} conditions - WHERE conditions to add to
+ * @param {Array} params - Query parameters to add to
+ * @param {Object} query - Username and gallery type
+ */
+function addUserConditions(conditions, params, { username, galleryType }) {
+  // Add gallery type condition (favorites)
+  if (galleryType && username) {
+    conditions.push(`url IN (
+      SELECT url
+      FROM favorites f
+      WHERE f.username LIKE ?
+    )`);
+    params.push(`%${username.replace(/_/g, '%')}%`);
+  } else if (username) {
+    // Add username condition
+    conditions.push(`(
+      username LIKE ? OR
+      account_name LIKE ?
+    )`);
+    params.push(`%${username}%`, `%${username}%`);
+  }
+}
+// Columns the gallery can be sorted by. NULLs are swapped out so rows can
+// still be compared when paging with a cursor.
+const SORT_COLUMNS = {
+  date: `IFNULL(date_uploaded, '')`,
+  title: `IFNULL(subdata.title, '') COLLATE NOCASE`,
+  artist: `IFNULL(username, '') COLLATE NOCASE`,
+  id: 'CAST(subdata.id AS INTEGER)',
+  size: 'IFNULL(content_size, -1)',
+  downloaded: `IFNULL(date_downloaded, '')`,
+  rank: 'subsearch.rank',
+};
+// File extensions for each file type filter
+const FILE_TYPES = {
+  image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp'],
+  text: ['txt', 'text', 'rtf', 'doc', 'docx', 'odt'],
+  audio: ['mp3', 'wav', 'ogg', 'mid', 'midi'],
+  flash: ['swf'],
+  pdf: ['pdf'],
+};
+/**
+ * Adds the conditions for the gallery filters. Unknown filter values are
+ * ignored.
+ * @param {Array<String>} conditions - WHERE conditions to add to
+ * @param {Array} params - Query parameters to add to
+ * @param {Object} filters - Rating, category, file type, folder, gallery
+ * folder ID, download state, deleted or edited on FA, and upload date range
+ */
+function addFilterConditions(conditions, params, filters = {}) {
+  const { rating, category, fileType, folder, folderId, saved, upstream, dateFrom, dateTo } = filters;
+  if (['General', 'Mature', 'Adult'].includes(rating)) {
+    conditions.push(`subdata.rating = ?`);
+    params.push(rating);
+  }
+  if (category && validateInput(category, 'string')) {
+    conditions.push(`category = ?`);
+    params.push(category);
+  }
+  if (FILE_TYPES[fileType]) {
+    conditions.push(`(${FILE_TYPES[fileType].map(() => `LOWER(content_name) LIKE ?`).join(' OR ')})`);
+    params.push(...FILE_TYPES[fileType].map(ext => `%.${ext}`));
+  }
+  if (folder === 'gallery' || folder === 'scraps') {
+    conditions.push(`IFNULL(is_scrap, 0) = ?`);
+    params.push(folder === 'scraps' ? 1 : 0);
+  }
+  // Anything that was ever in the folder, even if since taken out
+  if (folderId && /^\d+$/.test(folderId)) {
+    conditions.push(`subdata.url IN (SELECT url FROM folder_submissions WHERE folder_id = ?)`);
+    params.push(folderId);
+  }
+  if (saved === 'saved') {
+    conditions.push(`is_content_saved = 1`);
+  } else if (saved === 'not-saved') {
+    conditions.push(`IFNULL(is_content_saved, 0) = 0 AND IFNULL(content_missing, 0) = 0`);
+  } else if (saved === 'missing') {
+    conditions.push(`content_missing = 1`);
+  }
+  if (upstream === 'deleted') {
+    conditions.push(`deleted_at IS NOT NULL`);
+  } else if (upstream === 'edited') {
+    conditions.push(`edited_at IS NOT NULL`);
+  }
+  const isDate = (date) => /^\d{4}-\d{2}-\d{2}$/.test(date || '');
+  if (isDate(dateFrom)) {
+    conditions.push(`date(date_uploaded, 'localtime') >= ?`);
+    params.push(dateFrom);
+  }
+  if (isDate(dateTo)) {
+    conditions.push(`date(date_uploaded, 'localtime') <= ?`);
+    params.push(dateTo);
+  }
+}
+/**
+ * Replaces the saved tags for the given submission.
+ * @param {String} submissionId
+ * @param {Array<String>} tags - Tags as shown on FA
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export async function saveSubmissionTags(submissionId, tags = []) {
+  try {
+    if (!validateInput(submissionId, 'string')) {
+      throw new Error('Invalid submission ID for tags');
+    }
+
+    dbLogger(LOG_LEVELS.DEBUG, 'Saving submission tags', { submissionId, count: tags.length });
+
+    await db.run(`DELETE FROM submission_tags WHERE submission_id = ?`, [submissionId]);
+    if (!tags.length) return null;
+    const placeholders = tags.map(() => '?').join(',');
+    await db.run(`INSERT OR IGNORE INTO tags(name) VALUES ${tags.map(() => '(?)').join(',')}`, tags);
+    return await db.run(`
+      INSERT OR IGNORE INTO submission_tags(submission_id, tag_id)
+      SELECT ?, id
+      FROM tags
+      WHERE name IN (${placeholders})
+    `, [submissionId, ...tags]);
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error saving submission tags', {
+      submissionId,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
+/**
+ * Replaces the saved first/prev/next links for the given submission.
+ * @param {String} submissionId
+ * @param {Array<Object>} links - Relation, source and linked submission ID
+ * @returns {Promise<sqlite.RunResult>}
+ */
+export async function saveComicLinks(submissionId, links = []) {
+  try {
+    if (!validateInput(submissionId, 'string')) {
+      throw new Error('Invalid submission ID for comic links');
+    }
+
+    dbLogger(LOG_LEVELS.DEBUG, 'Saving comic links', { submissionId, count: links.length });
+
+    await db.run(`DELETE FROM submission_links WHERE submission_id = ?`, [submissionId]);
+    if (!links.length) return null;
+    const placeholders = links.map(() => '(?, ?, ?, ?)').join(',');
+    const data = links.flatMap(l => [submissionId, l.relation, l.source, l.target_id]);
+    return await db.run(`
+      INSERT OR REPLACE INTO submission_links(submission_id, relation, source, target_id)
+      VALUES ${placeholders}
+    `, data);
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error saving comic links', {
+      submissionId,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
 // SELECT/GET functions
+/**
+ * Counts how many submissions use each tag, for the tag browser.
+ * @param {Object} query - Username and gallery type to count tags for, and
+ * an optional filter for the tag names
+ * @param {number} limit - Max number of tags to return
+ * @returns {Promise<Array>} - Tag names and counts, most used first
+ */
+export async function getTagCounts(query = {}, limit = 200) {
+  try {
+    const { username, galleryType, filter } = query;
+    const params = [];
+    const conditions = ['1'];
+    addUserConditions(conditions, params, { username, galleryType });
+    if (filter) {
+      conditions.push(`t.name LIKE ?`);
+      params.push(`%${filter}%`);
+    }
+    params.push(limit);
+
+    dbLogger(LOG_LEVELS.DEBUG, 'Getting tag counts', { username, galleryType, filter });
+
+    return await db.all(`
+      SELECT t.name, COUNT(*) AS count
+      FROM submission_tags st
+      JOIN tags t ON t.id = st.tag_id
+      JOIN subdata ON subdata.id = st.submission_id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY t.id
+      ORDER BY count DESC, t.name ASC
+      LIMIT ?
+    `, params);
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error getting tag counts', {
+      query,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
 /**
  * Gets gallery page with pagination and search functionality
  * @param {number} offset - Starting index for pagination
  * @param {number} count - Number of items per page
  * @param {Object} query - Search parameters
  * @param {string} sortOrder - Sort direction (ASC or DESC)
+ * @param {string} sortBy - What to sort by, from SORT_COLUMNS. `rank` puts
+ * the best search matches first
+ * @param {Object} after - Cursor to continue from, instead of using the
+ * offset. The `sort_key` and `id` of the last item already loaded
  * @returns {Promise<Array>} - Gallery items
  */
-export async function getGalleryPage(offset = 0, count = 25, query = {}, sortOrder = 'DESC') {
+export async function getGalleryPage(offset = 0, count = 25, query = {}, sortOrder = 'DESC', sortBy = 'date', after = null) {
   try {
     // Validate input parameters
     if (!validateInput(offset, 'number') || !validateInput(count, 'number')) {
       throw new Error('Invalid pagination parameters');
     }
     
-    if (!['ASC', 'DESC'].includes(sortOrder.toUpperCase())) {
+    let { username, searchTerm, galleryType } = query;
+    const { match, exclude } = parseSearchTerm(searchTerm);
+
+    sortOrder = sortOrder.toUpperCase();
+    if (!['ASC', 'DESC'].includes(sortOrder)) {
       sortOrder = 'DESC'; // Default to DESC if invalid
     }
-    
-    let { username, searchTerm, galleryType } = query;
+    // Best match only makes sense when there's something to match against
+    if (!SORT_COLUMNS[sortBy] || (sortBy === 'rank' && !match)) sortBy = 'date';
     
     // Build query with parameters instead of string interpolation
     const params = [];
-    const conditions = ['id IS NOT NULL'];
+    const conditions = ['subdata.id IS NOT NULL'];
+    let searchJoin = '';
     
-    // Add search term condition
-    if (searchTerm) {
-      const searchPattern = `%${searchTerm.replace(/\s/gi, '%')}%`;
-      conditions.push(`(
-        title LIKE ? OR
-        tags LIKE ? OR
-        desc LIKE ? OR
-        content_name LIKE ?
+    // Add full text search conditions
+    if (match) {
+      searchJoin = `JOIN subsearch ON subsearch.rowid = CAST(subdata.id AS INTEGER) AND subsearch MATCH ?`;
+      params.push(match);
+    }
+    if (exclude) {
+      conditions.push(`CAST(subdata.id AS INTEGER) NOT IN (
+        SELECT rowid
+        FROM subsearch
+        WHERE subsearch MATCH ?
       )`);
-      params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+      params.push(exclude);
     }
     
-    // Add gallery type condition (favorites)
-    if (galleryType && username) {
-      conditions.push(`url IN (
-        SELECT url
-        FROM favorites f
-        WHERE f.username LIKE ?
-      )`);
-      params.push(`%${username.replace(/_/g, '%')}%`);
-    } else if (username) {
-      // Add username condition
-      conditions.push(`(
-        username LIKE ? OR
-        account_name LIKE ?
-      )`);
-      params.push(`%${username}%`, `%${username}%`);
+    addUserConditions(conditions, params, { username, galleryType });
+    addFilterConditions(conditions, params, query.filters);
+    
+    // Best matches sort lowest, so they're always in ascending order
+    const sortColumn = SORT_COLUMNS[sortBy];
+    const direction = sortBy === 'rank' ? 'ASC' : sortOrder;
+    
+    // Keyset pagination, so pages deep into the results load as fast as the
+    // first. The sort column is compared on its own first so its index can
+    // seek to the cursor, which a row value comparison doesn't.
+    if (after && (validateInput(after.id, 'string') || validateInput(after.id, 'number'))) {
+      const op = direction === 'ASC' ? '>' : '<';
+      conditions.push(`${sortColumn} ${op}= ? AND (${sortColumn} ${op} ? OR CAST(subdata.id AS INTEGER) ${op} ?)`);
+      params.push(after.sort_key, after.sort_key, Number(after.id));
+      offset = 0;
     }
     
     // Add pagination parameters
@@ -636,15 +1752,20 @@ export async function getGalleryPage(offset = 0, count = 25, query = {}, sortOrd
       offset, 
       count, 
       search: searchTerm,
+      match,
+      exclude,
       username,
-      galleryType 
+      galleryType,
+      filters: query.filters,
+      sortBy,
+      after
     });
     
     // Construct the final query
     const dbQuery = `
       SELECT 
-        id, 
-        title,
+        subdata.id, 
+        subdata.title,
         username,
         account_name,
         content_name,
@@ -653,13 +1774,17 @@ export async function getGalleryPage(offset = 0, count = 25, query = {}, sortOrd
         is_content_saved,
         thumbnail_name,
         is_thumbnail_saved,
-        rating,
+        subdata.rating,
         is_favorite,
         favorite_username,
-        content_owner
+        content_owner,
+        deleted_at,
+        edited_at,
+        ${sortColumn} AS sort_key
       FROM subdata
+      ${searchJoin}
       WHERE ${conditions.join(' AND ')}
-      ORDER BY content_name ${sortOrder}
+      ORDER BY ${sortColumn} ${direction}, CAST(subdata.id AS INTEGER) ${direction}
       LIMIT ? OFFSET ?
     `;
     
@@ -688,9 +1813,8 @@ export async function getSubmissionPage(id) {
     
     dbLogger(LOG_LEVELS.DEBUG, 'Getting submission page', { id });
     
-    // Use a transaction to ensure consistency between submission and comments
-    await db.run('BEGIN TRANSACTION');
-    
+    // Only reads, so no transaction: the connection is shared, and the
+    // gallery server can ask for several pages at once
     const data = {};
     
     // Get submission data
@@ -702,7 +1826,6 @@ export async function getSubmissionPage(id) {
     
     if (!data.submission) {
       dbLogger(LOG_LEVELS.WARN, 'Submission not found', { id });
-      await db.run('ROLLBACK');
       return null;
     }
     
@@ -713,11 +1836,48 @@ export async function getSubmissionPage(id) {
       WHERE submission_id = ?
     `, [id]);
     
-    await db.run('COMMIT');
+    // Get first/prev/next links, preferring the artist's own over FA's
+    data.comicLinks = await db.all(`
+      SELECT
+        l.relation,
+        l.source,
+        l.target_id,
+        s.title AS target_title,
+        s.id IS NOT NULL AS is_saved
+      FROM submission_links l
+      LEFT JOIN subdata s ON s.id = l.target_id
+      WHERE l.submission_id = ?
+      ORDER BY l.source = 'description' DESC
+    `, [id]);
+    
+    // Each user that has this as a favorite, or used to
+    data.favorites = await db.all(`
+      SELECT username, fave_id, first_seen, last_seen, removed_date
+      FROM favorites
+      WHERE url = ?
+      ORDER BY removed_date IS NOT NULL, first_seen IS NULL, first_seen
+    `, [data.submission.url]);
+    
+    // Gallery folders it's in, or used to be
+    data.folders = await db.all(`
+      SELECT folders.id, folders.title, folders.group_name, folder_submissions.removed_date
+      FROM folder_submissions
+      JOIN folders ON folders.id = folder_submissions.folder_id
+      WHERE folder_submissions.url = ?
+      ORDER BY folder_submissions.removed_date IS NOT NULL, folders.position
+    `, [data.submission.url]);
+    
+    // Earlier versions, if it was edited on FA
+    data.history = await db.all(`
+      SELECT *
+      FROM submission_history
+      WHERE submission_id = ?
+      ORDER BY date DESC
+    `, [id]);
+    
     return data;
     
   } catch (error) {
-    await db.run('ROLLBACK');
     dbLogger(LOG_LEVELS.ERROR, 'Error getting submission page', { 
       id, 
       error: error.message,
@@ -727,6 +1887,98 @@ export async function getSubmissionPage(id) {
   }
 }
 
+/**
+ * Gets a page of journals, newest first
+ * @param {number} offset - Starting index for pagination
+ * @param {number} count - Number of items per page
+ * @param {Object} query - Search parameters
+ * @returns {Promise<Array>} - Journals, without their descriptions
+ */
+export async function getJournalPage(offset = 0, count = 25, query = {}) {
+  try {
+    if (!validateInput(offset, 'number') || !validateInput(count, 'number')) {
+      throw new Error('Invalid pagination parameters');
+    }
+    
+    const { username, searchTerm } = query;
+    const params = [];
+    const conditions = ['is_scraped = 1'];
+    
+    if (searchTerm) {
+      const searchPattern = `%${searchTerm.replace(/\s/gi, '%')}%`;
+      conditions.push(`(title LIKE ? OR desc LIKE ?)`);
+      params.push(searchPattern, searchPattern);
+    }
+    if (username) {
+      conditions.push(`(username LIKE ? OR account_name LIKE ?)`);
+      params.push(`%${username}%`, `%${username}%`);
+    }
+    params.push(count, offset);
+    
+    dbLogger(LOG_LEVELS.DEBUG, 'Getting journal page', { offset, count, query });
+    
+    return await db.all(`
+      SELECT id, title, username, account_name, date
+      FROM journaldata
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY CAST(id AS INTEGER) DESC
+      LIMIT ? OFFSET ?
+    `, params);
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error getting journal page', { 
+      offset, 
+      count, 
+      query,
+      error: error.message,
+      stack: error.stack 
+    });
+    throw error;
+  }
+}
+/**
+ * Gets the given journal and its comments
+ * @param {String} id - Journal ID
+ * @returns {Promise<Object>} - Journal and comments data
+ */
+export async function getJournal(id) {
+  try {
+    if (!validateInput(id, 'string')) {
+      throw new Error('Invalid journal ID');
+    }
+    
+    dbLogger(LOG_LEVELS.DEBUG, 'Getting journal', { id });
+    
+    const journal = await db.get(`SELECT * FROM journaldata WHERE id = ?`, [id]);
+    if (!journal) return null;
+    const comments = await db.all(`
+      SELECT *
+      FROM journalcomments
+      WHERE journal_id = ?
+      ORDER BY rowid ASC
+    `, [id]);
+    return { journal, comments };
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error getting journal', { 
+      id, 
+      error: error.message,
+      stack: error.stack 
+    });
+    throw error;
+  }
+}
+/**
+ * Retrieves all journal links with uncollected data.
+ * @returns {Promise<Array>} All matching Database rows
+ */
+export function getUnscrapedJournals() {
+  return db.all(`
+    SELECT id, url
+    FROM journaldata
+    WHERE is_scraped = 0
+    ORDER BY CAST(id AS INTEGER) DESC
+  `);
+}
+
 export function getAllUnmovedContentData() {
   return db.all(`
   SELECT content_url, content_name, username, account_name
@@ -823,6 +2075,7 @@ export async function needsRepair(username) {
       SELECT url
       FROM subdata
       WHERE id IS NOT NULL
+      AND deleted_at IS NULL
       ${usernameQuery}
       AND (
         username IS NULL
@@ -867,6 +2120,19 @@ export async function getAllFavUsernames() {
     throw error;
   }
 }
+/**
+ * Gets every submission category that's been saved, for the gallery filters.
+ * @returns {Promise<Array<String>>}
+ */
+export async function getAllCategories() {
+  const rows = await db.all(`
+    SELECT DISTINCT category
+    FROM subdata
+    WHERE category IS NOT NULL AND category <> ''
+    ORDER BY category ASC
+  `);
+  return rows.map(r => r.category);
+}
 export function getAllUsernames() {
   return db.all(`
     SELECT DISTINCT username, account_name
@@ -886,6 +2152,7 @@ export function getSubmissionLinks() {
     SELECT url
     FROM subdata
     WHERE id IS null
+    AND deleted_at IS NULL
     ORDER BY url DESC
   `);
 }
@@ -919,6 +2186,35 @@ export async function getComments(id) {
   }
 }
 
+/**
+ * Gets the overall download state of the archive
+ * @returns {Promise<Object>} - Counts of users, submissions and pending work
+ */
+export async function getArchiveStatus() {
+  try {
+    dbLogger(LOG_LEVELS.DEBUG, 'Getting archive status');
+    
+    return await db.get(`
+      SELECT
+        COUNT(DISTINCT account_name) AS users,
+        COUNT(*) AS submissions,
+        SUM(CASE WHEN id IS NULL THEN 1 ELSE 0 END) AS pending_metadata,
+        SUM(CASE WHEN id IS NOT NULL AND is_content_saved = 0 AND content_missing = 0 THEN 1 ELSE 0 END) AS pending_content,
+        SUM(CASE WHEN is_content_saved = 1 THEN 1 ELSE 0 END) AS saved_content,
+        SUM(CASE WHEN content_missing = 1 THEN 1 ELSE 0 END) AS missing_content,
+        SUM(CASE WHEN deleted_at IS NOT NULL THEN 1 ELSE 0 END) AS deleted,
+        SUM(CASE WHEN edited_at IS NOT NULL THEN 1 ELSE 0 END) AS edited
+      FROM subdata
+    `);
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error getting archive status', { 
+      error: error.message,
+      stack: error.stack 
+    });
+    throw error;
+  }
+}
+
 export function getOwnedAccounts() {
   return db.all(`
     SELECT *
@@ -1005,16 +2301,40 @@ export function getSubmissionOwner(url) {
 }
 export function getAllInvalidFiles() {
   return db.all(`
-<<<<<<< Updated upstream
     SELECT id, content_name, content_url, username, account_name, url
     FROM subdata
     WHERE content_name LIKE '%.'
-=======
->>>>>>> Stashed changes
     AND is_content_saved = 1
   `);
 }
 
+/**
+ * Saves the encrypted FA login cookies
+ * @param {string|null} cookies - Encrypted cookie data, or null to remove them
+ * @returns {Promise<sqlite.RunResult>} - Result of the update operation
+ */
+export async function saveStoredCookies(cookies) {
+  try {
+    dbLogger(LOG_LEVELS.DEBUG, 'Saving stored cookies');
+    
+    return await db.run(`UPDATE usersettings SET fa_cookies = ?`, [cookies]);
+  } catch (error) {
+    dbLogger(LOG_LEVELS.ERROR, 'Error saving stored cookies', { 
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+/**
+ * Gets the encrypted FA login cookies
+ * @returns {Promise<string|null>} - Encrypted cookie data, if any
+ */
+export async function getStoredCookies() {
+  const result = await db.get(`SELECT fa_cookies FROM usersettings`);
+  return result?.fa_cookies || null;
+}
+
 export async function getUserSettings() {
   return db.get(`SELECT * FROM usersettings`);
 }
@@ -1034,6 +2354,37 @@ export async function deleteAccount(name) {
     WHERE account_name = ?
     OR username = ?
   `, [name, name]);
+  await db.run(`
+    DELETE FROM journalcomments
+    WHERE journal_id IN (
+      SELECT id FROM journaldata
+      WHERE account_name = ? OR username = ?
+    )
+  `, [name, name]);
+  await db.run(`
+    DELETE FROM journaldata
+    WHERE account_name = ?
+    OR username = ?
+  `, [name, name]);
+  await db.run(`
+    DELETE FROM gallerysync
+    WHERE username = ?
+  `, [name.toLowerCase()]);
+  await db.run(`
+    DELETE FROM userprofile
+    WHERE account_name = ?
+    OR username = ?
+  `, [name, name]);
+  await db.run(`
+    DELETE FROM folder_submissions
+    WHERE folder_id IN (
+      SELECT id FROM folders WHERE username = ?
+    )
+  `, [name.toLowerCase()]);
+  await db.run(`
+    DELETE FROM folders
+    WHERE username = ?
+  `, [name.toLowerCase()]);
   return db.run(`
     DELETE FROM favorites
     WHERE username = ?
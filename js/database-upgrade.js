@@ -1,4 +1,6 @@
 import { cleanupFileStructure, deleteInvalidFiles } from "./download-content.js";
+import { toISODate } from "./utils.js";
+import { parseComicLinks } from "./comic-links.js";
 
 async function fixFavoritesUsernames(db) {
   await db.exec(`
@@ -29,6 +31,185 @@ async function createThumbnailInfo(db) {
 `).catch(() => {});
 }
 
+/**
+ * Full text search over submissions, kept up to date by triggers. Rows use
+ * the submission ID as their rowid, since subdata's own rowids can change
+ * when the database is vacuumed.
+ */
+async function createSearchIndex(db) {
+  const searchRow = (row) => `
+    CAST(${row}.id AS INTEGER),
+    ${row}.title,
+    ${row}.desc,
+    ${row}.tags,
+    (SELECT group_concat(desc, ' ') FROM commentdata WHERE submission_id = ${row}.id),
+    IFNULL(${row}.username, '') || ' ' || IFNULL(${row}.account_name, ''),
+    ${row}.rating
+  `;
+  const searchColumns = 'rowid, title, desc, tags, comments, artist, rating';
+  const updateComments = (row) => `
+    UPDATE subsearch
+    SET comments = (SELECT group_concat(desc, ' ') FROM commentdata WHERE submission_id = ${row}.submission_id)
+    WHERE rowid = CAST(${row}.submission_id AS INTEGER);
+  `;
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_commentdata_submission ON commentdata(submission_id)`);
+  await db.exec(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS subsearch USING fts5(
+    title, desc, tags, comments, artist, rating,
+    tokenize = 'unicode61 remove_diacritics 2'
+  )`);
+  await db.exec(`
+  CREATE TRIGGER IF NOT EXISTS subdata_search_insert AFTER INSERT ON subdata
+  WHEN new.id IS NOT NULL BEGIN
+    INSERT OR REPLACE INTO subsearch(${searchColumns}) VALUES (${searchRow('new')});
+  END`);
+  await db.exec(`
+  CREATE TRIGGER IF NOT EXISTS subdata_search_update
+  AFTER UPDATE OF id, title, desc, tags, username, account_name, rating ON subdata BEGIN
+    DELETE FROM subsearch WHERE rowid = CAST(old.id AS INTEGER);
+    INSERT OR REPLACE INTO subsearch(${searchColumns}) SELECT ${searchRow('new')} WHERE new.id IS NOT NULL;
+  END`);
+  await db.exec(`
+  CREATE TRIGGER IF NOT EXISTS subdata_search_delete AFTER DELETE ON subdata BEGIN
+    DELETE FROM subsearch WHERE rowid = CAST(old.id AS INTEGER);
+  END`);
+  await db.exec(`
+  CREATE TRIGGER IF NOT EXISTS commentdata_search_insert AFTER INSERT ON commentdata BEGIN
+    ${updateComments('new')}
+  END`);
+  await db.exec(`
+  CREATE TRIGGER IF NOT EXISTS commentdata_search_update AFTER UPDATE OF desc, submission_id ON commentdata BEGIN
+    ${updateComments('old')}
+    ${updateComments('new')}
+  END`);
+  await db.exec(`
+  CREATE TRIGGER IF NOT EXISTS commentdata_search_delete AFTER DELETE ON commentdata BEGIN
+    ${updateComments('old')}
+  END`);
+  // Fill in everything saved so far
+  await db.exec(`DELETE FROM subsearch`);
+  return db.exec(`
+    INSERT OR REPLACE INTO subsearch(${searchColumns})
+    SELECT ${searchRow('subdata')} FROM subdata WHERE id IS NOT NULL
+  `);
+}
+
+/**
+ * Moves tags out of the comma joined subdata.tags column into their own
+ * tables, so they can be counted and browsed. The column is still kept up to
+ * date for searching and exports.
+ */
+async function createTagTables(db) {
+  await db.exec(`
+  CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY,
+    name TEXT UNIQUE COLLATE NOCASE
+  )`);
+  await db.exec(`
+  CREATE TABLE IF NOT EXISTS submission_tags (
+    submission_id TEXT,
+    tag_id INTEGER,
+    PRIMARY KEY (submission_id, tag_id)
+  )`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_submission_tags_tag ON submission_tags(tag_id)`);
+  await db.exec(`
+  CREATE TRIGGER IF NOT EXISTS subdata_tags_delete AFTER DELETE ON subdata BEGIN
+    DELETE FROM submission_tags WHERE submission_id = old.id;
+  END`);
+  // Split up the tags saved so far
+  await db.exec(`
+  CREATE TEMP TABLE tagsplit AS
+  WITH RECURSIVE split(submission_id, tag, rest) AS (
+    SELECT id, '', tags || ','
+    FROM subdata
+    WHERE id IS NOT NULL AND tags <> ''
+    UNION ALL
+    SELECT submission_id, TRIM(SUBSTR(rest, 1, INSTR(rest, ',') - 1)), SUBSTR(rest, INSTR(rest, ',') + 1)
+    FROM split
+    WHERE rest <> ''
+  )
+  SELECT submission_id, tag FROM split WHERE tag <> ''
+  `);
+  await db.exec(`INSERT OR IGNORE INTO tags(name) SELECT tag FROM tagsplit`);
+  await db.exec(`
+    INSERT OR IGNORE INTO submission_tags(submission_id, tag_id)
+    SELECT s.submission_id, t.id
+    FROM tagsplit s
+    JOIN tags t ON t.name = s.tag
+  `);
+  return db.exec(`DROP TABLE tagsplit`);
+}
+
+/**
+ * Rewrites FA display dates in the given column as ISO timestamps. Relative
+ * dates ("3 days ago") are left alone, since there's no way to know when
+ * they were saved. Repairing the database scrapes those again.
+ */
+async function normalizeDates(db, table, column) {
+  const rows = await db.all(`
+    SELECT rowid, ${column} AS date
+    FROM ${table}
+    WHERE ${column} <> ''
+    AND ${column} NOT LIKE '____-__-__T%'
+    AND ${column} NOT LIKE '%ago%'
+  `);
+  if (!rows.length) return;
+  await db.exec('BEGIN');
+  try {
+    for (const { rowid, date } of rows) {
+      const isoDate = toISODate(date);
+      if (isoDate !== date) await db.run(`UPDATE ${table} SET ${column} = ? WHERE rowid = ?`, [isoDate, rowid]);
+    }
+  } catch (e) {
+    await db.exec('ROLLBACK');
+    throw e;
+  }
+  return db.exec('COMMIT');
+}
+
+/**
+ * Links between submissions in a series (first/prev/next), either from the
+ * description or FA's own gallery navigation. Descriptions are already
+ * saved, so their links can be filled in right away.
+ */
+async function createComicLinks(db) {
+  await db.exec(`
+  CREATE TABLE IF NOT EXISTS submission_links (
+    submission_id TEXT,
+    relation TEXT,
+    source TEXT,
+    target_id TEXT,
+    PRIMARY KEY (submission_id, relation, source)
+  )`);
+  await db.exec(`
+  CREATE TRIGGER IF NOT EXISTS subdata_links_delete AFTER DELETE ON subdata BEGIN
+    DELETE FROM submission_links WHERE submission_id = old.id;
+  END`);
+  const rows = await db.all(`
+    SELECT id, desc
+    FROM subdata
+    WHERE id IS NOT NULL
+    AND desc LIKE '%/view/%'
+  `);
+  if (!rows.length) return;
+  console.log(`Finding comic links in ${rows.length} descriptions...`);
+  await db.exec('BEGIN');
+  try {
+    for (const { id, desc } of rows) {
+      for (const { relation, source, target_id } of parseComicLinks(desc, id)) {
+        await db.run(`
+          INSERT OR REPLACE INTO submission_links(submission_id, relation, source, target_id)
+          VALUES (?, ?, ?, ?)
+        `, [id, relation, source, target_id]);
+      }
+    }
+  } catch (e) {
+    await db.exec('ROLLBACK');
+    throw e;
+  }
+  return db.exec('COMMIT');
+}
+
 /**
  * Used for making future upgrades/updates to the database, to enforce
  * a schema.
@@ -78,9 +259,12 @@ export async function upgradeDatabase(db) {
       CREATE TABLE IF NOT EXISTS usersettings (
         latest_browser_version TEXT
       )`);
+      // Newer installs create this table without the column, and with a row
+      await db.exec(`ALTER TABLE usersettings ADD COLUMN latest_browser_version TEXT`)
+      .catch(() => {});
       await db.exec(`
         INSERT INTO usersettings(latest_browser_version)
-        VALUES('')
+        SELECT '' WHERE NOT EXISTS (SELECT 1 FROM usersettings)
       `);
       version = 7;
     case 7:
@@ -120,7 +304,200 @@ export async function upgradeDatabase(db) {
       version = 12;
     case 12:
       version = 13;
-      
+    case 13:
+      await db.exec(`ALTER TABLE usersettings ADD COLUMN fa_cookies TEXT`).catch(() => {});
+      version = 14;
+    case 14:
+      await db.exec(`
+      CREATE TABLE IF NOT EXISTS journaldata (
+        id TEXT PRIMARY KEY ON CONFLICT IGNORE,
+        url TEXT UNIQUE ON CONFLICT IGNORE,
+        username TEXT,
+        account_name TEXT,
+        title TEXT,
+        date TEXT,
+        desc TEXT,
+        is_scraped INTEGER DEFAULT 0
+      )`);
+      await db.exec(`
+      CREATE TABLE IF NOT EXISTS journalcomments (
+        id TEXT UNIQUE ON CONFLICT REPLACE,
+        journal_id TEXT,
+        width TEXT,
+        username TEXT,
+        account_name TEXT,
+        desc TEXT,
+        subtitle TEXT,
+        date TEXT
+      )`);
+      version = 15;
+    case 15:
+      await db.exec(`
+      CREATE TABLE IF NOT EXISTS userprofile (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT,
+        account_name TEXT,
+        display_name TEXT,
+        user_title TEXT,
+        date_joined TEXT,
+        avatar_url TEXT,
+        avatar_name TEXT,
+        banner_url TEXT,
+        banner_name TEXT,
+        profile TEXT,
+        stats TEXT,
+        contacts TEXT,
+        featured_url TEXT,
+        featured_title TEXT,
+        shouts TEXT,
+        date_scraped TEXT DEFAULT (datetime('now'))
+      )`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_userprofile_account ON userprofile(account_name, date_scraped)`);
+      version = 16;
+    case 16:
+      await db.exec(`
+      CREATE TABLE IF NOT EXISTS gallerysync (
+        username TEXT,
+        folder TEXT,
+        last_sync TEXT,
+        last_full_sync TEXT,
+        PRIMARY KEY (username, folder)
+      )`);
+      version = 17;
+    case 17:
+      await db.exec(`ALTER TABLE usersettings ADD COLUMN download_concurrency INTEGER DEFAULT 2`).catch(() => {});
+      version = 18;
+    case 18:
+      await db.exec(`ALTER TABLE subdata ADD COLUMN content_hash TEXT`).catch(() => {});
+      await db.exec(`ALTER TABLE subdata ADD COLUMN content_size INTEGER`).catch(() => {});
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_subdata_content_hash ON subdata(content_hash)`);
+      version = 19;
+    case 19:
+      await createSearchIndex(db);
+      version = 20;
+    case 20:
+      await createTagTables(db);
+      version = 21;
+    case 21:
+      await db.exec(`ALTER TABLE subdata ADD COLUMN date_downloaded TEXT`).catch(() => {});
+      await normalizeDates(db, 'subdata', 'date_uploaded');
+      await normalizeDates(db, 'commentdata', 'date');
+      await normalizeDates(db, 'journalcomments', 'date');
+      version = 22;
+    case 22:
+      await createComicLinks(db);
+      version = 23;
+    case 23:
+      // Matches the default gallery sort, for paging through large galleries
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_subdata_date_sort ON subdata(IFNULL(date_uploaded, ''), CAST(id AS INTEGER))`);
+      version = 24;
+    case 24:
+      await db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL,
+        options TEXT,
+        state TEXT DEFAULT 'queued',
+        position INTEGER,
+        date_added TEXT,
+        date_started TEXT,
+        date_finished TEXT,
+        last_error TEXT
+      )`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_state ON jobs(state, position)`);
+      version = 25;
+    case 25:
+      await db.exec(`ALTER TABLE jobs ADD COLUMN new_submissions INTEGER`).catch(() => {});
+      await db.exec(`
+      CREATE TABLE IF NOT EXISTS schedules (
+        username TEXT PRIMARY KEY,
+        interval_hours INTEGER NOT NULL,
+        options TEXT,
+        enabled INTEGER DEFAULT 1,
+        date_added TEXT,
+        last_sync TEXT,
+        next_sync TEXT,
+        last_new_submissions INTEGER,
+        last_error TEXT
+      )`);
+      await db.exec(`
+      CREATE TABLE IF NOT EXISTS schedule_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL,
+        date TEXT,
+        new_submissions INTEGER,
+        error TEXT
+      )`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_schedule_runs_username ON schedule_runs(username, date)`);
+      version = 26;
+    case 26:
+      // FA's own ID for each fave only ever goes up, so it gives their order
+      await db.exec(`ALTER TABLE favorites ADD COLUMN fave_id INTEGER`).catch(() => {});
+      await db.exec(`ALTER TABLE favorites ADD COLUMN first_seen TEXT`).catch(() => {});
+      await db.exec(`ALTER TABLE favorites ADD COLUMN last_seen TEXT`).catch(() => {});
+      await db.exec(`ALTER TABLE favorites ADD COLUMN removed_date TEXT`).catch(() => {});
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_favorites_username ON favorites(username, fave_id)`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_favorites_url ON favorites(url)`);
+      version = 27;
+    case 27:
+      await db.exec(`ALTER TABLE subdata ADD COLUMN deleted_at TEXT`).catch(() => {});
+      await db.exec(`ALTER TABLE subdata ADD COLUMN edited_at TEXT`).catch(() => {});
+      // Earlier versions of submissions that were edited on FA
+      await db.exec(`
+      CREATE TABLE IF NOT EXISTS submission_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id TEXT NOT NULL,
+        date TEXT,
+        changed TEXT,
+        title TEXT,
+        desc TEXT,
+        tags TEXT,
+        content_url TEXT,
+        content_name TEXT
+      )`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_submission_history_id ON submission_history(submission_id, date)`);
+      await db.exec(`
+      CREATE TRIGGER IF NOT EXISTS subdata_history_delete AFTER DELETE ON subdata BEGIN
+        DELETE FROM submission_history WHERE submission_id = old.id;
+      END`);
+      version = 28;
+    case 28:
+      // Named gallery folders, listed on each user's gallery page
+      await db.exec(`
+      CREATE TABLE IF NOT EXISTS folders (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        title TEXT,
+        group_name TEXT,
+        position INTEGER,
+        url TEXT,
+        last_seen TEXT,
+        removed_date TEXT
+      )`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_folders_username ON folders(username, position)`);
+      // Kept by URL like favorites, as submissions don't have an ID until scraped
+      await db.exec(`
+      CREATE TABLE IF NOT EXISTS folder_submissions (
+        folder_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        first_seen TEXT,
+        last_seen TEXT,
+        removed_date TEXT,
+        PRIMARY KEY (folder_id, url)
+      )`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_folder_submissions_url ON folder_submissions(url)`);
+      version = 29;
+    case 29:
+      // Which version of the tag parser saved each submission's tags, as
+      // tags saved by the old one can't be compared against FA
+      await db.exec(`ALTER TABLE subdata ADD COLUMN tags_version INTEGER`).catch(() => {});
+      version = 30;
+    case 30:
+      // Missed when dates were first normalized, journals were still saved
+      // with FA's display dates
+      await normalizeDates(db, 'journaldata', 'date');
+      version = 31;
+
     default:
       await db.exec(`VACUUM`);
       await db.exec(`PRAGMA user_version = ${version}`);
@@ -0,0 +1,90 @@
+import fs from 'fs-extra';
+import * as db from './database-interface.js';
+import { logProgress, stop } from './utils.js';
+import { findContentFile, hashFile } from './download-content.js';
+import { formatBytes } from './gallery/format-bytes.js';
+
+const progressID = 'file';
+
+/**
+ * Hashes all downloaded files that were saved before hashing was added.
+ */
+export async function hashSavedContent() {
+  const rows = await db.getUnhashedContent();
+  if (!rows.length || stop.now) return;
+  console.log(`[File] Hashing ${rows.length} downloaded files...`);
+  let i = 0;
+  while (i < rows.length && !stop.now) {
+    logProgress({ transferred: i + 1, total: rows.length }, progressID);
+    const location = await findContentFile(rows[i]);
+    if (location) await db.setContentHash(rows[i].content_url, await hashFile(location));
+    i++;
+  }
+  logProgress.reset(progressID);
+}
+/**
+ * Finds every file that's saved more than once, across all artists and
+ * favorites.
+ * @returns {Promise<Object>} Groups of identical files, and the total bytes
+ * that could be saved by hardlinking them
+ */
+export async function getDuplicateReport() {
+  await hashSavedContent();
+  const rows = await db.getDuplicateContent();
+  const groups = [];
+  let wastedBytes = 0;
+  for (const row of rows) {
+    let group = groups[groups.length - 1];
+    if (group?.hash !== row.content_hash) {
+      group = { hash: row.content_hash, size: row.content_size, files: [] };
+      groups.push(group);
+    }
+    const location = await findContentFile(row);
+    const inode = location ? (await fs.stat(location)).ino : null;
+    group.files.push({ ...row, location, inode });
+  }
+  for (const group of groups) {
+    const copies = new Set(group.files.filter(f => f.location).map(f => f.inode)).size;
+    group.isLinked = copies <= 1;
+    wastedBytes += Math.max(copies - 1, 0) * (group.size || 0);
+  }
+  return { groups, wastedBytes };
+}
+/**
+ * Replaces every duplicate file with a hardlink to the first copy, so each
+ * file still shows up in every artist folder it was saved to, but only takes
+ * up space once.
+ * @returns {Promise<Object>} How many files were linked and the bytes saved
+ */
+export async function hardlinkDuplicates() {
+  const { groups } = await getDuplicateReport();
+  let linked = 0;
+  let savedBytes = 0;
+  for (const group of groups) {
+    if (stop.now) break;
+    const [source, ...copies] = group.files.filter(f => f.location);
+    if (group.isLinked || (await hashFile(source.location)).hash !== group.hash) continue;
+    for (const copy of copies) {
+      if (copy.inode === source.inode) continue;
+      // Only link files that still match what was hashed
+      const { hash } = await hashFile(copy.location);
+      if (hash !== group.hash) {
+        console.log(`[Warn] File changed since it was saved, skipping: ${copy.location}`);
+        continue;
+      }
+      const tempLocation = `${copy.location}.link`;
+      try {
+        await fs.remove(tempLocation);
+        await fs.link(source.location, tempLocation);
+        await fs.rename(tempLocation, copy.location);
+        linked++;
+        savedBytes += group.size || 0;
+      } catch (e) {
+        await fs.remove(tempLocation).catch(() => {});
+        console.log(`[Warn] Could not link '${copy.location}': ${e.message}`);
+      }
+    }
+  }
+  console.log(`[File] Linked ${linked} duplicate files, saving ${formatBytes(savedBytes)}`);
+  return { linked, savedBytes };
+}
@@ -1,9 +1,10 @@
 import random from 'random';
-import { waitFor, logProgress, stop, getHTML, urlExists, isSiteActive } from './utils.js';
+import { waitFor, logProgress, stop, getHTML, isSiteActive } from './utils.js';
 import { faRequestHeaders } from './login.js';
 import * as db from './database-interface.js';
 import fs from 'fs-extra';
-import { join } from 'node:path';
+import { join, resolve } from 'node:path';
+import { createHash } from 'node:crypto';
 import got from 'got';
 import { ARTIST_DIR } from './constants.js';
 
@@ -12,6 +13,19 @@ const dlOptions = {
   mode: 0o770,
 };
 const maxRetries = 5;
+const maxConcurrency = 8;
+// Requests per second allowed to each FA host, and how many can be saved up
+const hostLimits = {
+  'd.furaffinity.net': { rate: 1, burst: 2 },
+  't.furaffinity.net': { rate: 2, burst: 4 },
+};
+const defaultHostLimit = { rate: 0.5, burst: 1 };
+const rateLimitCodes = [429, 503];
+const minBackoff = 30 * 1000;
+const maxBackoff = 10 * 60 * 1000;
+const buckets = {};
+// Progress of each download currently running, by file name
+const activeDownloads = new Map();
 let thumbnailsRunning = false;
 let totalThumbnails = 0;
 let totalFiles = 0;
@@ -30,6 +44,140 @@ function getTotals() {
     return '';
   return `[${currFile + currThumbnail}/${totalFiles + totalThumbnails}]`
 }
+/**
+ * Feeds the contents of the given file into the hash.
+ * @param {String} location
+ * @param {Hash} hash
+ */
+function readIntoHash(location, hash) {
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(location)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+}
+/**
+ * Gets the SHA-256 hash and size of the given file.
+ * @param {String} location
+ * @returns {Promise<Object>} hash and size in bytes
+ */
+export async function hashFile(location) {
+  const hash = createHash('sha256');
+  await readIntoHash(location, hash);
+  const { size } = await fs.stat(location);
+  return { hash: hash.digest('hex'), size };
+}
+/**
+ * Shows the combined progress of all running downloads.
+ */
+function reportProgress() {
+  let transferred = 0;
+  let total = 0;
+  for (const download of activeDownloads.values()) {
+    transferred += download.transferred;
+    total += download.total || 0;
+  }
+  logProgress({ transferred, total, filename: getTotals() }, progressID);
+}
+function getBucket(url) {
+  const host = new URL(url).host;
+  if (!buckets[host]) {
+    const { rate, burst } = hostLimits[host] || defaultHostLimit;
+    buckets[host] = { host, rate, burst, tokens: burst, last: Date.now(), pausedUntil: 0, backoff: 0 };
+  }
+  return buckets[host];
+}
+/**
+ * Waits until the host of the given url can take another request.
+ * @param {String} url
+ */
+async function takeToken(url) {
+  const bucket = getBucket(url);
+  while (!stop.now) {
+    const now = Date.now();
+    if (now < bucket.pausedUntil) {
+      await waitFor(bucket.pausedUntil - now);
+      continue;
+    }
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.last) / 1000 * bucket.rate);
+    bucket.last = now;
+    if (bucket.tokens >= 1) {
+      bucket.tokens--;
+      return;
+    }
+    await waitFor(Math.ceil((1 - bucket.tokens) / bucket.rate * 1000));
+  }
+}
+/**
+ * Pauses all requests to the host of the given url, doubling the pause
+ * each time the host keeps limiting us.
+ * @param {String} url
+ * @param {Number} retryAfter Seconds the host asked us to wait, if any
+ */
+function backoff(url, retryAfter = 0) {
+  const bucket = getBucket(url);
+  bucket.backoff = Math.min(maxBackoff, bucket.backoff ? bucket.backoff * 2 : minBackoff);
+  const wait = Math.max(retryAfter * 1000, bucket.backoff);
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + wait);
+  bucket.tokens = 0;
+  console.log(`[Warn] ${bucket.host} is limiting downloads, waiting ${Math.round(wait / 1000)} seconds`);
+}
+function clearBackoff(url) {
+  getBucket(url).backoff = 0;
+}
+/**
+ * Checks the given url without downloading it. Rate limit responses are
+ * left to the caller, instead of being retried here.
+ * @param {String} url
+ * @returns {Promise<Object>} The status code (0 if unreachable) and Retry-After seconds
+ */
+function getUrlStatus(url) {
+  return got(url, {
+    ...faRequestHeaders,
+    method: 'HEAD',
+    timeout: { response: 3000 },
+    throwHttpErrors: false,
+    retry: {
+      limit: maxRetries,
+      statusCodes: [408, 413, 500, 502, 504, 521, 522, 524],
+    },
+  })
+  .then(res => ({ status: res.statusCode, retryAfter: +res.headers['retry-after'] || 0 }))
+  .catch(() => ({ status: 0 }));
+}
+/**
+ * Gets how many files to download at once.
+ * @returns {Promise<Number>}
+ */
+async function getConcurrency() {
+  const { download_concurrency } = await db.getUserSettings() || {};
+  return Math.min(Math.max(+download_concurrency || 2, 1), maxConcurrency);
+}
+/**
+ * Saves how many files to download at once, from 1 to 8.
+ * @param {Number} count
+ */
+export function saveDownloadConcurrency(count) {
+  const download_concurrency = Math.min(Math.max(Math.floor(+count) || 1, 1), maxConcurrency);
+  return db.saveUserSettings({ download_concurrency });
+}
+/**
+ * Runs the given task on every item, with as many running at once as the
+ * download concurrency allows.
+ * @param {Array} items
+ * @param {Function} task
+ */
+async function runWorkers(items, task) {
+  const workerCount = Math.min(await getConcurrency(), items.length);
+  let next = 0;
+  async function work() {
+    while (next < items.length && !stop.now) {
+      await task(items[next++]);
+    }
+  }
+  await Promise.all(Array.from({ length: workerCount }, work));
+}
 /**
  * Handles the actual download and progress update for file saving.
  * @param {Object} results Results of a db query
@@ -54,52 +202,94 @@ async function downloadSetup({ content_url, content_name, username, subfolder, r
     // File name sanity already handled, no-op here for build sanity.
     return Promise.reject();
   }
+  await takeToken(content_url);
+  if (stop.now) return false;
   // Check to see if this file even exists by checking the header response
-  if (await urlExists(content_url)) {
-    console.log(`Downloading: ${content_name}`);
+  const { status, retryAfter } = await getUrlStatus(content_url);
+  if (rateLimitCodes.includes(status)) {
+    backoff(content_url, retryAfter);
+    if (retryCount < maxRetries)
+      return downloadSetup({ content_url, content_name, username, subfolder, retryCount: retryCount + 1 });
+    return Promise.reject(new Error('Site down'));
+  }
+  if (status >= 200 && status < 300) {
     const fileLocation = join(downloadLocation, content_name);
+    // Data is kept in a .part file until complete, so it can be resumed later
+    const partLocation = `${fileLocation}.part`;
     await fs.ensureDir(downloadLocation, dlOptions);
+    const start = await fs.stat(partLocation).then(stats => stats.size).catch(() => 0);
+    console.log(`${start ? 'Resuming' : 'Downloading'}: ${content_name}`);
+    let offset = 0;
+    let expectedSize = 0;
+    // Hashed as it streams, starting with any part already saved
+    const hash = createHash('sha256');
     return new Promise((resolve, reject) => {
       const dlStream = got.stream(content_url, {
         ...faRequestHeaders,
-        ...{
-          timeout: { response: 20000 }
-        }
+        headers: {
+          ...faRequestHeaders.headers,
+          ...(start ? { range: `bytes=${start}-` } : {}),
+        },
+        timeout: { response: 20000 },
       });
-      const fStream = fs.createWriteStream(fileLocation, { flags: 'w+', ...dlOptions });
-      dlStream.on('downloadProgress', ({ transferred, total, percent }) => {
-        const percentage = Math.round(percent * 100);
-        logProgress({ transferred, total, percentage, filename: getTotals() }, progressID);
+      let fStream = null;
+      activeDownloads.set(fileLocation, { transferred: 0, total: 0 });
+      dlStream.on('response', (res) => {
+        // Servers that ignore the range send the whole file again
+        const isResumed = res.statusCode === 206;
+        offset = isResumed ? start : 0;
+        expectedSize = isResumed
+          ? +res.headers['content-range']?.split('/')[1] || 0
+          : +res.headers['content-length'] || 0;
+        const hashStart = isResumed ? readIntoHash(partLocation, hash) : Promise.resolve();
+        hashStart.then(() => {
+          fStream = fs.createWriteStream(partLocation, { flags: isResumed ? 'a' : 'w', ...dlOptions });
+          fStream.on('error', (error) => {
+              console.error(`Could not write file '${content_name}' to system: ${error.message}`);
+              reject(error);
+            })
+            .on('finish', resolve);
+          dlStream.on('data', chunk => hash.update(chunk));
+          dlStream.pipe(fStream);
+        }).catch(reject);
+      })
+      .on('downloadProgress', ({ transferred, total }) => {
+        activeDownloads.set(fileLocation, { transferred: offset + transferred, total: offset + (total || 0) });
+        reportProgress();
       })
       .on('error', (error) => {
-        logProgress.reset(progressID);
         console.error(`Download failed: ${error.message} for ${content_name}`);
-        if (!fStream.closed) fStream.end();
-        reject();
+        if (fStream && !fStream.closed) fStream.end();
+        reject(error);
       });
-
-      fStream.on('error', (error) => {
-          logProgress.reset(progressID);
-          console.error(`Could not write file '${content_name}' to system: ${error.message}`);
-          reject();
-        })
-        .on('finish', () => {
-          // console.log(`[File] Downloaded: '${content_name}'`, progressID);
-          resolve();
-        });
-      dlStream.pipe(fStream);
-    }).catch(() => {
-      try {
-        fs.removeSync(fileLocation);
-      } catch (e) {
-        console.error(e);
+    }).then(async () => {
+      const { size } = await fs.stat(partLocation);
+      if (expectedSize && size < expectedSize)
+        throw new Error(`Incomplete download, ${size}/${expectedSize} bytes`);
+      if (expectedSize && size > expectedSize) {
+        await fs.remove(partLocation);
+        throw new Error(`Download larger than expected, ${size}/${expectedSize} bytes`);
       }
+      await fs.move(partLocation, fileLocation, { overwrite: true });
+      // console.log(`[File] Downloaded: '${content_name}'`, progressID);
+      clearBackoff(content_url);
+      return { hash: hash.digest('hex'), size };
+    }).finally(() => {
+      activeDownloads.delete(fileLocation);
+      reportProgress();
+    }).catch(async (error) => {
+      const statusCode = error?.response?.statusCode;
+      if (rateLimitCodes.includes(statusCode))
+        backoff(content_url, +error.response.headers['retry-after'] || 0);
+      // The saved part can't be resumed from, so start over
+      if (statusCode === 416) await fs.remove(partLocation).catch(() => {});
       // Retry if possible!
       if (retryCount < maxRetries) {
         retryCount++;
         console.log(`[Warn] Download error, retrying...`);
         return downloadSetup({ content_url, content_name, username, subfolder, retryCount });
       }
+      return Promise.reject(new Error(`Download failed: ${content_name}`));
     });
   } else {
     console.warn(`File not found: '${content_name}'`);
@@ -155,6 +345,43 @@ export async function deleteInvalidFiles() {
   }
 }
 
+function getSubfolder({ is_favorite, is_scrap }) {
+  if (is_favorite) return 'favorites';
+  if (is_scrap) return 'scraps';
+  return 'gallery';
+}
+/**
+ * Finds where the given submission's content was saved to. Older downloads
+ * were all saved under 'gallery', so that's checked as well.
+ * @param {Object} row Submission data
+ * @returns {Promise<String|null>} Path to the file, or null if not found
+ */
+export async function findContentFile(row) {
+  const account_name = row.account_name || row.username || '';
+  if (!account_name || !row.content_name) return null;
+  const userDir = join(ARTIST_DIR, account_name.replace(/\.$/, '._'));
+  const folders = [...new Set([getSubfolder(row), 'gallery'])];
+  for (const folder of folders) {
+    const location = join(userDir, folder, row.content_name);
+    if (await fs.pathExists(location)) return location;
+  }
+  return null;
+}
+/**
+ * Finds the most recently saved avatar for each of the given accounts.
+ * @param {Array<String>} names Account names
+ * @returns {Promise<Object>} Full file paths, keyed by account name
+ */
+export async function findAvatarFiles(names) {
+  const avatars = await db.getSavedAvatars(names);
+  const paths = {};
+  for (const { account_name, avatar_name } of avatars) {
+    const location = resolve(ARTIST_DIR, account_name.replace(/\.$/, '._'), 'profile', avatar_name);
+    if (await fs.pathExists(location)) paths[account_name] = location;
+  }
+  return paths;
+}
+
 /**
  * Downloads the specified content.
  * @returns 
@@ -168,16 +395,14 @@ export async function downloadSpecificContent(row) {
     return; // Don't attempt any file operation without a real username
   }
   // Always ensure subfolder is set
-  let subfolder = 'gallery';
-  if (row.is_favorite) subfolder = 'favorites';
-  else if (row.is_scrap) subfolder = 'scraps';
+  const subfolder = getSubfolder(row);
   return downloadSetup({
     content_url: row.content_url,
     content_name: row.content_name,
     username: account_name.replace(/\.$/, '._'), 
     subfolder
   })
-    .then(() => db.setContentSaved(row.content_url))
+    .then((file) => file && db.setContentSaved(row.content_url, file))
     .catch((e) => {
       if (!e) return; // Skip if no real error
       if (/site.down/gi.test(e.message)) {
@@ -212,7 +437,8 @@ export async function downloadThumbnail({ thumbnail_url, url:contentUrl, account
     username: account_name.replace(/\.$/, '._'),
     subfolder: 'thumbnail'
   })
-    .then(() => db.setThumbnailSaved(contentUrl, content_url, content_name))
+    // Nothing saved if stopped before it started
+    .then((file) => file && db.setThumbnailSaved(contentUrl, content_url, content_name))
     .catch((e) => {
       if (!e) return; // Skip if no real error
       if (/site.down/gi.test(e.message)) {
@@ -223,6 +449,26 @@ export async function downloadThumbnail({ thumbnail_url, url:contentUrl, account
       }
     });      
 }
+/**
+ * Downloads a profile avatar or banner to the user's 'profile' folder. FA puts
+ * an upload timestamp in these urls, so it's kept in the file name and older
+ * images aren't overwritten when the user changes them.
+ * @param {Object} options
+ * @param {String} options.url Image url
+ * @param {String} options.account_name
+ * @returns {Promise<String>} Saved file name, or empty if not saved
+ */
+export async function downloadProfileImage({ url, account_name }) {
+  if (stop.now || !url || !account_name) return '';
+  const content_url = url.startsWith('//') ? 'https:' + url : url;
+  const content_name = content_url.split('?')[0].split('/').slice(-2).join('_');
+  const username = account_name.replace(/\.$/, '._');
+  const location = join(ARTIST_DIR, username, 'profile', content_name);
+  if (await fs.pathExists(location)) return content_name;
+  await downloadSetup({ content_url, content_name, username, subfolder: 'profile' })
+    .catch(() => {});
+  return await fs.pathExists(location) ? content_name : '';
+}
 /**
  * Gets all download urls and records when they're done.
  * @returns 
@@ -232,30 +478,23 @@ async function startContentDownloads() {
   let data = await db.getAllUnsavedContent();
   if (!data.length) return;
   totalFiles = data.length;
-  currFile = 1;
-  let i = 0;
-  while (i < data.length) {
-    if (stop.now) return;
-    await downloadSpecificContent(data[i]);
+  currFile = 0;
+  await runWorkers(data, async (row) => {
+    await downloadSpecificContent(row);
+    currFile++;
     if (!thumbnailsRunning) startThumbnailDownloads();
-    await waitFor(random.int(2000, 4000));
-    i++;
-    currFile = i + 1;
-  }
+  });
+  if (stop.now) return;
   await waitFor(random.int(2000, 4000));
   return startContentDownloads();
 }
 export async function startUserContentDownloads(data) {
   totalFiles = data.length;
-  currFile = 1;
-  let i = 0;
-  while (i < data.length) {
-    if (stop.now) break;
-    await downloadSpecificContent(data[i]);
-    await waitFor(random.int(2000, 4000));
-    i++;
-    currFile = i + 1;
-  }
+  currFile = 0;
+  await runWorkers(data, async (row) => {
+    await downloadSpecificContent(row);
+    currFile++;
+  });
   await waitFor();
   resetTotals();
 }
@@ -265,15 +504,12 @@ async function startThumbnailDownloads() {
   const data = await db.getAllUnsavedThumbnails();
   if (!data.length) return thumbnailsRunning = false;
   totalThumbnails = data.length;
-  currThumbnail = 1;
-  let i = 0;
-  while (i < data.length) {
-    if (stop.now) return thumbnailsRunning = false;
-    await downloadThumbnail(data[i]);
-    await waitFor(random.int(1000, 2500));
-    i++;
-    currThumbnail = i + 1;
-  }
+  currThumbnail = 0;
+  await runWorkers(data, async (row) => {
+    await downloadThumbnail(row);
+    currThumbnail++;
+  });
+  if (stop.now) return thumbnailsRunning = false;
   await waitFor(random.int(2000, 3500));
   return startThumbnailDownloads();
 }
@@ -1,7 +1,7 @@
 import { join } from 'node:path';
 import fs from 'fs-extra';
 import { scrapeSubmissionInfo } from './scrape-data.js';
-import { startUserContentDownloads } from './download-content.js';
+import { startUserContentDownloads, findContentFile } from './download-content.js';
 import { ARTIST_DIR, EXPORT_DIR } from './constants.js';
 import { stop } from './utils.js';
 import * as db from './database-interface.js'
@@ -35,7 +35,8 @@ async function exportData(name, includeDate) {
     startUserContentDownloads(needsDownload)
   ]);
   if (stop.now) return console.log(`[Data] User account export aborted`);
-  const basedir = join(ARTIST_DIR, username);
+  const dirPath = join(destRoot, name);
+  const allUserData = await db.getAllSubmissionsForUser(name);
   if (!allUserData.length) return console.log(`[Data] No submissions to export: ${name}`);
   console.log(`[Data] Exporting ${allUserData.length} submissions for account: ${name}`);
   // Delete old exports!
@@ -52,29 +53,102 @@ async function exportData(name, includeDate) {
       await fs.ensureFile(join(dirPath, `${folderIndex}`, `archive.chunk`));
     }
     data = allUserData[i];
+    src = await findContentFile(data);
+    if (!src) {
+      console.log(`[Warn] File not found, skipping: ${data.content_name}`);
+      continue;
+    }
     archiveFileName = `${data.id}f.${data.content_name.split('.').pop()}`;
     jsonFileName = `${data.id}d.json`;
-    src = join(DOWNLOAD_DIR, name, data.content_name);
     dest = join(dirPath, `${folderIndex}`, (data.is_scrap) ? 'scraps':'gallery');
     await fs.copy(src, join(dest, archiveFileName));
     await fs.writeFile(join(dest, jsonFileName), constructJSON(data, includeDate));
     if (data.is_thumbnail_saved) {
       archiveFileName = archiveFileName.split('f.')[0] + 't.' + data.thumbnail_name.split('.').pop();
-      src = join(DOWNLOAD_DIR, name, 'thumbnail', data.thumbnail_name);
+      src = join(ARTIST_DIR, data.account_name.replace(/\.$/, '._'), 'thumbnail', data.thumbnail_name);
       dest = join(dirPath, `${folderIndex}`, (data.is_scrap) ? 'scraps':'gallery');
       await fs.copy(src, join(dest, archiveFileName));
     }
   }
   console.log(`[Data] Export complete! Files can be found under "${dirPath}"`);
 }
+/**
+ * Makes a folder or file name safe to use on any OS.
+ * @param {String} name
+ * @returns {String}
+ */
+function cleanFileName(name) {
+  return `${name}`.replace(/\s+/g, ' ').replace(/[<>:"/\\|?*]/g, '_').replace(/[. ]+$/, '').trim() || '_';
+}
+/**
+ * Copies a user's downloaded submissions into one folder per FA gallery
+ * folder, oldest first, with a list of what's in each one.
+ * @param {String} name
+ */
+async function exportFolders(name) {
+  name = name.toLowerCase();
+  const destRoot = EXPORT_DIR || join(ARTIST_DIR, 'exports');
+  const folders = await db.getFolders(name);
+  if (!folders.length) return console.log(`[Data] No gallery folders saved for: ${name}, download their gallery first`);
+  const dirPath = join(destRoot, name, 'folders');
+  console.log(`[Data] Exporting ${folders.length} gallery folders for: ${name}`);
+  await fs.emptyDir(dirPath);
+  const usedNames = new Set();
+  for (const folder of folders) {
+    if (stop.now) return console.log(`[Data] Folder export aborted`);
+    let folderName = cleanFileName([folder.group_name, folder.title].filter(Boolean).join(' - '));
+    // FA allows the same name twice
+    if (usedNames.has(folderName.toLowerCase())) folderName += ` (${folder.id})`;
+    usedNames.add(folderName.toLowerCase());
+    const dest = join(dirPath, folderName);
+    await fs.ensureDir(dest, dlOptions);
+    const submissions = await db.getFolderSubmissions(folder.id);
+    const digits = `${submissions.length}`.length;
+    const list = [];
+    for (const [i, data] of submissions.entries()) {
+      const src = await findContentFile(data);
+      const fileName = src ? `${`${i + 1}`.padStart(digits, '0')}_${data.content_name}` : '';
+      if (src) await fs.copy(src, join(dest, fileName));
+      else console.log(`[Warn] File not found, skipping: ${data.content_name}`);
+      list.push({
+        id: data.id,
+        title: data.title || '',
+        date: data.date_uploaded || '',
+        tags: data.tags?.split(',') || [],
+        rating: data.rating || 'General',
+        url: data.url,
+        file: fileName,
+      });
+    }
+    await fs.writeFile(join(dest, 'folder.json'), JSON.stringify({
+      title: folder.title,
+      group: folder.group_name || '',
+      url: folder.url,
+      removed: !!folder.removed_date,
+      submissions: list,
+    }, null, 2));
+  }
+  console.log(`[Data] Folder export complete! Files can be found under "${dirPath}"`);
+}
 let inProgress = false;
-export async function init(name, includeDate) {
+async function runExport(task) {
   if (inProgress) return console.log('[Data] Already exporting data, please wait!');
   inProgress = true;
-  await exportData(name, includeDate)
+  await task()
     .catch(e => {
       console.error(e);
       console.log(`[Error] Data export failed, check logs`);
     });
   inProgress = false;
+}
+export function init(name, includeDate) {
+  return runExport(() => exportData(name, includeDate));
+}
+/**
+ * Exports a user's downloaded submissions folder by folder, the same as
+ * they're sorted in their FA gallery.
+ * @param {String} name
+ */
+export function initFolders(name) {
+  return runExport(() => exportFolders(name));
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { createApp } from 'vue';
 import galleryHub from './gallery-hub.js';
+import './remote-api.js';
 
 createApp(galleryHub).mount('#app');
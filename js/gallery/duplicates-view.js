@@ -0,0 +1,65 @@
+import { formatBytes } from './format-bytes.js';
+
+export default {
+  name: 'duplicates-view',
+  template: `
+    <div class="duplicates-view">
+      <div class="gallery-navigation">
+        <button :disabled="loading" @click="getReport">{{report ? 'Check again' : 'Find duplicates'}}</button>
+        <h2 class="gallery-search-title">{{title}}</h2>
+        <button :disabled="loading || !report?.wastedBytes" @click="hardlink" :title="hardlinkAlt" :alt="hardlinkAlt">Hardlink duplicates</button>
+      </div>
+      <div class="journal-list">
+        <p v-if="loading">Checking files, this can take a while the first time...</p>
+        <p v-else-if="!report">Find files that are saved more than once, across all artists and favorites.</p>
+        <p v-else-if="!report.groups.length">No duplicates!</p>
+        <div class="journal-list__item" v-for="group in report?.groups || []" :key="group.hash">
+          <div class="journal-list__info">
+            <b>{{group.files.length}} copies</b> | {{formatBytes(group.size)}}
+            <span v-if="group.isLinked"> | Hardlinked</span>
+          </div>
+          <div class="duplicates-view__file" v-for="file in group.files" :key="file.content_url">
+            <span class="journal-list__title" @click="loadSubmission(file.id)">{{file.title || file.content_name}}</span>
+            by <span class="duplicates-view__user" @click="searchUser(file.username)">{{file.username}}</span>
+            | <i>{{file.location || 'File missing'}}</i>
+          </div>
+        </div>
+      </div>
+    </div>
+  `,
+  emits: ['loadSubmission', 'searchUser'],
+  data() {
+    return {
+      report: null,
+      loading: false,
+      hardlinkAlt: 'Keep one copy of each file on disk, linked into every folder it was saved to',
+    };
+  },
+  computed: {
+    title() {
+      if (!this.report) return 'Duplicates';
+      return `Duplicates: ${this.formatBytes(this.report.wastedBytes)} can be saved`;
+    },
+  },
+  methods: {
+    async getReport() {
+      this.loading = true;
+      this.report = await window.getDuplicateReport();
+      this.loading = false;
+    },
+    async hardlink() {
+      if (!window.confirm('Replace every duplicate file with a hardlink to a single copy?')) return;
+      this.loading = true;
+      await window.hardlinkDuplicates();
+      this.loading = false;
+      this.getReport();
+    },
+    loadSubmission(id) {
+      this.$emit('loadSubmission', id);
+    },
+    searchUser(username) {
+      this.$emit('searchUser', username);
+    },
+    formatBytes,
+  },
+}
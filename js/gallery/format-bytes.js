@@ -0,0 +1,14 @@
+/**
+ * Shared with the command line's duplicate file report.
+ * @param {Number} bytes
+ * @returns {String} Size in a human readable format, like '1.2 MB'
+ */
+export function formatBytes(bytes = 0) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return `${i ? bytes.toFixed(1) : bytes} ${units[i]}`;
+}
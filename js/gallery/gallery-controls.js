@@ -1,7 +1,7 @@
 export default {
   name: 'gallery-controls',
   emits: ['startSearch'],
-  props: ['outsideUsername', 'outsideFavUsernames', 'outsideUsernames'],
+  props: ['outsideUsername', 'outsideSearch', 'outsideFavUsernames', 'outsideUsernames', 'outsideCategories', 'outsideFolders'],
   template: `
     <div class="gallery-controls">
       <div class="gallery-controls__search-container">
@@ -21,7 +21,76 @@ export default {
       </div>
       <div class="gallery-controls__search-container">
         <label for="search">Search:</label>
-        <input id="search" ref="search" type="text" placeholder="Press enter to search..." v-model="search" @input="startSearch" />
+        <input id="search" ref="search" type="text" placeholder="Press enter to search..." v-model="search" @input="startSearch"
+        :title="searchHelp" />
+      </div>
+      <div class="gallery-controls__filters">
+        <div class="gallery-controls__search-container">
+          <label for="filter-rating">Rating:</label>
+          <select id="filter-rating" v-model="filters.rating" @change="startSearch">
+            <option value="">Any</option>
+            <option>General</option>
+            <option>Mature</option>
+            <option>Adult</option>
+          </select>
+        </div>
+        <div class="gallery-controls__search-container">
+          <label for="filter-category">Category:</label>
+          <select id="filter-category" v-model="filters.category" @change="startSearch">
+            <option value="">Any</option>
+            <option v-for="c in categories">{{c}}</option>
+          </select>
+        </div>
+        <div class="gallery-controls__search-container">
+          <label for="filter-file-type">File type:</label>
+          <select id="filter-file-type" v-model="filters.fileType" @change="startSearch">
+            <option value="">Any</option>
+            <option value="image">Image</option>
+            <option value="text">Text</option>
+            <option value="audio">Audio</option>
+            <option value="flash">Flash</option>
+            <option value="pdf">PDF</option>
+          </select>
+        </div>
+        <div class="gallery-controls__search-container">
+          <label for="filter-folder">Folder:</label>
+          <select id="filter-folder" v-model="filters.folder" @change="startSearch">
+            <option value="">Any</option>
+            <option value="gallery">Gallery</option>
+            <option value="scraps">Scraps</option>
+          </select>
+        </div>
+        <div v-if="folders.length && !galleryType" class="gallery-controls__search-container">
+          <label for="filter-folder-id">Gallery folder:</label>
+          <select id="filter-folder-id" v-model="filters.folderId" @change="startSearch">
+            <option value="">Any</option>
+            <option v-for="f in folders" :value="f.id">{{getFolderName(f)}}</option>
+          </select>
+        </div>
+        <div class="gallery-controls__search-container">
+          <label for="filter-saved">Downloaded:</label>
+          <select id="filter-saved" v-model="filters.saved" @change="startSearch">
+            <option value="">Any</option>
+            <option value="saved">Yes</option>
+            <option value="not-saved">Not yet</option>
+            <option value="missing">Missing on FA</option>
+          </select>
+        </div>
+        <div class="gallery-controls__search-container">
+          <label for="filter-upstream">On FA:</label>
+          <select id="filter-upstream" v-model="filters.upstream" @change="startSearch">
+            <option value="">Any</option>
+            <option value="deleted">Deleted on FA</option>
+            <option value="edited">Edited on FA</option>
+          </select>
+        </div>
+        <div class="gallery-controls__search-container">
+          <label for="filter-date-from">Uploaded:</label>
+          <input id="filter-date-from" type="date" v-model="filters.dateFrom" @change="startSearch" />
+          <label for="filter-date-to"> to </label>
+          <input id="filter-date-to" type="date" v-model="filters.dateTo" @change="startSearch" />
+        </div>
+        <button @click="clearFilters" :disabled="!hasFilters">Clear filters</button>
       </div>
     </div>
   `,
@@ -32,6 +101,20 @@ export default {
       galleryType: '',
       favUsernames: [],
       usernames: [],
+      categories: [],
+      folders: [],
+      filters: {
+        rating: '',
+        category: '',
+        fileType: '',
+        folder: '',
+        folderId: '',
+        saved: '',
+        upstream: '',
+        dateFrom: '',
+        dateTo: '',
+      },
+      searchHelp: 'Search titles, descriptions, tags and comments. Use "quotes" for exact phrases, -word to exclude, and tag:, artist: or rating: to search just those',
     };
   },
   watch: {
@@ -40,17 +123,35 @@ export default {
       this.galleryType = '';
       this.startSearch();
     },
+    outsideSearch({ searchTerm }) {
+      this.search = searchTerm;
+      this.startSearch();
+    },
     outsideFavUsernames(newNames) {
       this.favUsernames = newNames;
     },
     outsideUsernames(newNames) {
       this.usernames = newNames;
-    }
+    },
+    outsideCategories(newCategories) {
+      this.categories = newCategories;
+    },
+    outsideFolders(newFolders) {
+      this.folders = newFolders;
+      // The folder picked belongs to someone else now
+      if (this.filters.folderId && !newFolders.some(f => f.id === this.filters.folderId)) {
+        this.filters.folderId = '';
+        this.startSearch();
+      }
+    },
   },
   computed: {
     listInfo() {
       let names = this.galleryType ? this.favUsernames : this.usernames; 
       return [...new Set(names.map(n => n.username))];
+    },
+    hasFilters() {
+      return Object.values(this.filters).some(Boolean);
     }
   },
   methods: {
@@ -58,7 +159,18 @@ export default {
       const searchTerm = this.search.trim();
       const username = this.username.trim();
       const galleryType = this.galleryType;
-      this.$emit('startSearch', { searchTerm, username, galleryType });
+      const filters = { ...this.filters };
+      // Gallery folders only hold the user's own submissions
+      if (galleryType) filters.folderId = '';
+      this.$emit('startSearch', { searchTerm, username, galleryType, filters });
+    },
+    getFolderName(folder) {
+      const name = [folder.group_name, folder.title].filter(Boolean).join(' / ');
+      return `${name} (${folder.count})${folder.removed_date ? ' - removed' : ''}`;
+    },
+    clearFilters() {
+      Object.keys(this.filters).forEach(key => this.filters[key] = '');
+      this.startSearch();
     }
   },
 }
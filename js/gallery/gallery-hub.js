@@ -1,6 +1,11 @@
 import galleryTile from "./gallery-tile.js";
 import submissionView from './submission-view.js';
 import galleryControls from './gallery-controls.js';
+import journalView from './journal-view.js';
+import duplicatesView from './duplicates-view.js';
+import tagBrowser from './tag-browser.js';
+import slideshowView from './slideshow-view.js';
+import virtualGrid from './virtual-grid.js';
 
 export default {
   name: 'gallery-hub',
@@ -8,41 +13,89 @@ export default {
     galleryTile,
     submissionView,
     galleryControls,
+    journalView,
+    duplicatesView,
+    tagBrowser,
+    slideshowView,
+    virtualGrid,
   },
   template: `
   <div class="gallery-wrapper">
     <transition>
       <div v-show="!submissionData" class="gallery-container">
         <h2 class="gallery-title">🐾FA Gallery Viewer 🐾</h2>
-        <gallery-controls @start-search="startSearch" :outside-username="outsideUsername"
+        <gallery-controls @start-search="startSearch" :outside-username="outsideUsername" :outside-search="outsideSearch"
         :outside-fav-usernames="favUsernames"
-        :outside-usernames="usernames"></gallery-controls>
-        <div class="gallery-navigation">
-          <button class="gallery-prev" :disabled="!offset" @click="previous">Prev</button>
-          <h2 class="gallery-search-title">{{galleryTitle}}</h2>
-          <button class="gallery-next" :disabled="!results.length || results.length < count" @click="next">Next</button>
+        :outside-usernames="usernames"
+        :outside-categories="categories"
+        :outside-folders="folders"></gallery-controls>
+        <div class="gallery-tabs">
+          <button :class="{ active: viewMode === 'submissions' }" @click="viewMode = 'submissions'">Submissions</button>
+          <button :class="{ active: viewMode === 'journals' }" @click="viewMode = 'journals'">Journals</button>
+          <button :class="{ active: viewMode === 'tags' }" @click="viewMode = 'tags'">Tags</button>
+          <button v-if="!readOnly" :class="{ active: viewMode === 'duplicates' }" @click="viewMode = 'duplicates'">Duplicates</button>
         </div>
-        <div class="gallery-results-container">
-          <div class="sort-order-container">
-            <label for="sort-order">Sort: </label>
-            <select id="sort-order" v-model="sortOrder" @change="getResults">
-              <option value="DESC">Newest to oldest</option>
-              <option value="ASC">Oldest to newest</option>
-            </select>
+        <journal-view v-if="viewMode === 'journals'" :query="query" @search-user="searchUser"></journal-view>
+        <tag-browser v-else-if="viewMode === 'tags'" :query="query" @search-tag="searchTag"></tag-browser>
+        <duplicates-view v-else-if="viewMode === 'duplicates'" @load-submission="loadSubmission" @search-user="searchUser"></duplicates-view>
+        <template v-else>
+          <div class="gallery-navigation">
+            <button v-if="!isInfinite" class="gallery-prev" :disabled="!offset" @click="previous">Prev</button>
+            <h2 class="gallery-search-title">{{galleryTitle}}</h2>
+            <button v-if="!isInfinite" class="gallery-next" :disabled="!results.length || results.length < count" @click="next">Next</button>
           </div>
-          <template v-for="result in results" :key="result.content_name">
-            <gallery-tile @load-submission="loadSubmission" v-bind="result" @search-user="searchUser"></gallery-tile>
-          </template>
-          <p v-if="!results.length">No results!</p>
-        </div>
-        <div class="gallery-navigation">
-          <button class="gallery-prev" :disabled="!offset" @click="previous">Prev</button>
-          <h2 class="gallery-search-title">{{galleryTitle}}</h2>
-          <button class="gallery-next" :disabled="!results.length || results.length < count" @click="next">Next</button>
-        </div>
+          <div class="gallery-results-container">
+            <div class="sort-order-container">
+              <button @click="slideshow = true" :disabled="!results.length" title="Slideshow (S)" alt="Slideshow (S)">▶ Slideshow</button>
+              <label for="sort-by">Sort: </label>
+              <select id="sort-by" v-model="sortBy" @change="getResults">
+                <option value="date">Upload date</option>
+                <option value="title">Title</option>
+                <option value="artist">Artist</option>
+                <option value="id">Submission ID</option>
+                <option value="size">File size</option>
+                <option value="downloaded">Date downloaded</option>
+                <option v-if="query.searchTerm" value="rank">Best match</option>
+              </select>
+              <select id="sort-order" v-model="sortOrder" @change="getResults" :disabled="sortBy === 'rank'">
+                <option value="DESC">Descending</option>
+                <option value="ASC">Ascending</option>
+              </select>
+              <select id="scroll-mode" v-model="scrollMode" @change="changeScrollMode">
+                <option value="pages">Pages</option>
+                <option value="infinite">Infinite scroll</option>
+              </select>
+            </div>
+            <virtual-grid v-if="isInfinite" :items="results" :has-more="hasMore" :loading="loadingMore"
+              @load-more="loadMore" @load-submission="loadSubmission" @search-user="searchUser"></virtual-grid>
+            <template v-else v-for="result in results" :key="result.content_name">
+              <gallery-tile @load-submission="loadSubmission" v-bind="result" @search-user="searchUser"></gallery-tile>
+            </template>
+            <p v-if="!results.length && !loadingMore">No results!</p>
+          </div>
+          <div v-if="!isInfinite" class="gallery-navigation">
+            <button class="gallery-prev" :disabled="!offset" @click="previous">Prev</button>
+            <h2 class="gallery-search-title">{{galleryTitle}}</h2>
+            <button class="gallery-next" :disabled="!results.length || results.length < count" @click="next">Next</button>
+          </div>
+        </template>
       </div>
     </transition>
-    <submission-view v-if="submissionData" v-bind="submissionData" @clear-submission="goBack" @download-comments="downloadComments" @download-content="downloadContent"></submission-view>
+    <submission-view v-if="submissionData" v-bind="submissionData" @clear-submission="goBack" @download-comments="downloadComments" @download-content="downloadContent" @search-tag="searchTag"
+      @load-submission="loadSubmission" @download-submission="downloadSubmission"
+      @recheck-submission="recheckSubmission"></submission-view>
+    <slideshow-view v-if="slideshow" :query="query" :sort-order="sortOrder" :sort-by="sortBy" :start-offset="isInfinite ? 0 : offset"
+      @close="slideshow = false" @open-original="openOriginal" @favorite="favorite"></slideshow-view>
+    <div v-if="showHotkeys" class="gallery-hotkeys" @click="showHotkeys = false">
+      <h3>Hotkeys</h3>
+      <p><b>← →</b> Previous/next submission, or page of results</p>
+      <p><b>Esc</b> Close submission</p>
+      <p><b>O</b> Open original file</p>
+      <p><b>F</b> Add to your FA favorites</p>
+      <p><b>S</b> Start slideshow (<b>Space</b> to pause)</p>
+      <p><b>?</b> Show/hide hotkeys</p>
+    </div>
+    <div v-if="notice" class="gallery-notice">{{notice}}</div>
   </div>
   `,
   data() {
@@ -54,15 +107,31 @@ export default {
       submissionData: null,
       query: {},
       outsideUsername: '',
+      outsideSearch: null,
       sortOrder: 'DESC',
+      sortBy: 'date',
+      scrollMode: 'pages',
+      hasMore: false,
+      loadingMore: false,
+      galleryScroll: 0,
+      viewMode: 'submissions',
       favUsernames: [],
       usernames: [],
+      categories: [],
+      folders: [],
+      slideshow: false,
+      showHotkeys: false,
+      notice: '',
+      readOnly: false,
     };
   },
   beforeCreate() {
     window.setPageInfo = (data) => {
       if (data.favUsernames) this.favUsernames = data.favUsernames;
       if (data.usernames) this.usernames = data.usernames;
+      if (data.categories) this.categories = data.categories;
+      // Viewed from another device through the gallery server
+      if (data.readOnly) this.readOnly = true;
     }
   },
   mounted() {
@@ -72,6 +141,8 @@ export default {
     window.addEventListener('hashchange', () => {
       if(!location.hash) _this.clearSubmission();
     });
+    window.addEventListener('keydown', this.onKeydown);
+    window.getContentPath().then(path => this.contentPath = path);
   },
   computed: {
     galleryTitle() {
@@ -84,6 +155,9 @@ export default {
       }
       return title;
     },
+    isInfinite() {
+      return this.scrollMode === 'infinite';
+    },
   },
   methods: {
     previous() {
@@ -95,49 +169,211 @@ export default {
       this.getResults();
     },
     async getResults() {
+      if (this.isInfinite) {
+        this.results = [];
+        this.hasMore = true;
+        // Drop any page request still on its way from the last search
+        this.searchId = (this.searchId || 0) + 1;
+        this.loadingMore = false;
+        return this.loadMore();
+      }
       const _this = this;
       const payload = { 
         offset: this.offset,
         count: this.count,
         query: this.query,
         sortOrder: this.sortOrder,
+        sortBy: this.sortBy,
       };
       return window.getGalleryPage(payload)
       .then(results => _this.results = results);
     },
-    async loadSubmission(id, noScroll) {
+    /**
+     * Adds the next chunk of results to the end of the list. Picks up after the
+     * last loaded row rather than at an offset, so deep scrolling stays quick.
+     */
+    async loadMore() {
+      if (this.loadingMore || !this.hasMore) return;
+      this.loadingMore = true;
+      const searchId = this.searchId;
+      const last = this.results[this.results.length - 1];
+      const rows = await window.getGalleryPage({
+        count: this.count,
+        query: this.query,
+        sortOrder: this.sortOrder,
+        sortBy: this.sortBy,
+        after: last ? { sort_key: last.sort_key, id: last.id } : null,
+      });
+      if (searchId !== this.searchId) return;
+      this.results = this.results.concat(rows);
+      this.hasMore = rows.length === this.count;
+      this.loadingMore = false;
+    },
+    changeScrollMode() {
+      this.offset = 0;
+      this.getResults();
+    },
+    async loadSubmission(id, noScroll, replaceHistory) {
       console.log(`Loading submission: ${id}`);
       const data = await window.getSubmissionPage(id);
+      // Remember where the gallery was, to come back to the same spot
+      if (!this.submissionData) this.galleryScroll = window.scrollY;
       this.submissionData = data;
-      window.location.hash = `view/${id}`;
+      // Stepping through results replaces the entry, so Esc still goes back to the gallery
+      if (replaceHistory) history.replaceState('', null, `#view/${id}`);
+      else window.location.hash = `view/${id}`;
       if (!noScroll) window.scrollTo(0, 0);
     },
+    async stepSubmission(direction) {
+      const current = this.results.findIndex(r => r.id === this.submissionData?.submission?.id);
+      if (current === -1) return;
+      let index = current + direction;
+      // Move across to the next/previous page of results when needed
+      if (index < 0) {
+        if (this.isInfinite || !this.offset) return;
+        this.offset = Math.max(this.offset - this.count, 0);
+        await this.getResults();
+        index = this.results.length - 1;
+      } else if (index >= this.results.length && this.isInfinite) {
+        if (!this.hasMore) return;
+        await this.loadMore();
+        if (index >= this.results.length) return;
+      } else if (index >= this.results.length) {
+        if (this.results.length < this.count) return;
+        this.offset += this.count;
+        await this.getResults();
+        if (!this.results.length) {
+          this.offset -= this.count;
+          await this.getResults();
+          return;
+        }
+        index = 0;
+      }
+      if (this.results[index]) this.loadSubmission(this.results[index].id, false, true);
+    },
+    openOriginal(submission) {
+      if (!submission.is_content_saved) return window.openUrl(`https://www.furaffinity.net/view/${submission.id}/`);
+      const account = submission.account_name.replace(/\.$/, '._');
+      window.open(`${this.contentPath}\\${account}\\${submission.content_name}`, '_blank');
+    },
+    async favorite(id) {
+      if (this.readOnly) return this.showReadOnly();
+      this.showNotice('Adding to favorites...');
+      const status = await window.favoriteSubmission(id);
+      const messages = {
+        added: 'Added to favorites!',
+        already: 'Already in your favorites',
+      };
+      this.showNotice(messages[status] || `Couldn't favorite submission ${id}`);
+    },
+    showNotice(text) {
+      this.notice = text;
+      clearTimeout(this.noticeTimer);
+      this.noticeTimer = setTimeout(() => this.notice = '', 3000);
+    },
+    onKeydown(e) {
+      if (this.slideshow || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest?.('input, select, textarea')) return;
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      const submission = this.submissionData?.submission;
+      const inGallery = !submission && this.viewMode === 'submissions';
+      const canPage = inGallery && !this.isInfinite;
+      const actions = {
+        ArrowRight: () => submission ? this.stepSubmission(1) : canPage && this.results.length === this.count && this.next(),
+        ArrowLeft: () => submission ? this.stepSubmission(-1) : canPage && this.offset && this.previous(),
+        Escape: () => submission ? this.goBack() : this.showHotkeys = false,
+        o: () => submission && this.openOriginal(submission),
+        f: () => submission && this.favorite(submission.id),
+        s: () => inGallery && this.results.length && (this.slideshow = true),
+        '?': () => this.showHotkeys = !this.showHotkeys,
+      };
+      if (!actions[key]) return;
+      e.preventDefault();
+      actions[key]();
+    },
     goBack() {
       window.history.back();
     },
     clearSubmission() {
       this.submissionData = null;
+      this.$nextTick(() => window.scrollTo(0, this.galleryScroll));
+    },
+    showReadOnly() {
+      this.showNotice('Downloads and favorites only work in the app window');
     },
     async downloadComments(id, url) {
+      if (this.readOnly) return this.showReadOnly();
       await window.downloadComments(id, url);
       this.loadSubmission(id, true);
     },
     async downloadContent({ id, content_url, content_name, account_name }) {
+      if (this.readOnly) return this.showReadOnly();
       await window.downloadContent({ content_url, content_name, account_name });
-      this.loadSubmission(id, true);
-      this.getResults();
+      await this.loadSubmission(id, true);
+      if (!this.isInfinite) return this.getResults();
+      // Reloading would lose the scroll position, so just update the one tile
+      const result = this.results.find(r => r.id === id);
+      if (result) result.is_content_saved = this.submissionData.submission.is_content_saved;
+    },
+    async downloadSubmission(id, done) {
+      if (this.readOnly) {
+        done?.();
+        return this.showReadOnly();
+      }
+      try {
+        const isComplete = await window.downloadSubmission(id);
+        if (isComplete) this.loadSubmission(id);
+        else window.alert(`Couldn't download submission ${id}, try logging in first.`);
+      } catch (e) {
+        this.showNotice(`Couldn't download submission ${id}: ${e?.message || e}`);
+      } finally {
+        done?.();
+      }
+    },
+    async recheckSubmission(id, done) {
+      if (this.readOnly) {
+        done?.();
+        return this.showReadOnly();
+      }
+      this.showNotice('Checking FA for changes...');
+      let data = null;
+      try {
+        data = await window.recheckSubmission(id);
+      } catch (e) {
+        return this.showNotice(`Couldn't check submission ${id}: ${e?.message || e}`);
+      } finally {
+        done?.();
+      }
+      if (!data) return this.showNotice(`Couldn't check submission ${id}, try logging in first.`);
+      const { deleted_at, edited_at } = data.submission;
+      const wasEdited = edited_at && edited_at !== this.submissionData?.submission.edited_at;
+      if (this.submissionData?.submission.id === data.submission.id) this.submissionData = data;
+      this.showNotice(deleted_at ? 'Deleted from FA, the saved copy is kept' : wasEdited ? 'Edited on FA, the earlier version is kept' : 'No changes on FA');
     },
     async startSearch(query) {
+      if (query.username !== this.query.username) this.getFolders(query.username);
       this.query = query;
       this.offset = 0;
+      if (!query.searchTerm && this.sortBy === 'rank') this.sortBy = 'date';
       if (this.query.galleryType && !this.query.username) {
         this.results = [];
         return;
       }
       this.getResults();
     },
+    async getFolders(username) {
+      const folders = username ? await window.getFolders(username) : [];
+      // Only if it's still the user being searched
+      if (username === this.query.username) this.folders = folders || [];
+    },
     searchUser(username) {
       this.outsideUsername = username;
     },
+    searchTag(tag) {
+      if (this.submissionData) this.goBack();
+      this.viewMode = 'submissions';
+      // Always a new object, so searching the same tag again still updates
+      this.outsideSearch = { searchTerm: `tag:"${tag}"` };
+    },
   }
 }
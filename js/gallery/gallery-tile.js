@@ -1,4 +1,4 @@
-import getRelativeTime from './relative-time.js';
+import getRelativeTime, { getFullDate } from './relative-time.js';
 
 export default {
   name: 'gallery-tile',
@@ -15,11 +15,13 @@ export default {
       <div class="gallery-tile__info">
         <div class="gallery-tile__title" @click="loadSubmission" :alt="altText" :title="altText">{{title}}</div>
         <div class="gallery-tile__user">by <span @click="searchUser" :alt="userAltText" :title="userAltText">{{username}}</span></div>
-        <div class="gallery-tile__date" :title="date_uploaded" :alt="date_uploaded">Uploaded: {{relativeDate}}</div>
+        <div class="gallery-tile__date" :title="fullDate" :alt="fullDate">Uploaded: {{relativeDate}}</div>
+        <div v-if="deleted_at" class="gallery-tile__upstream deleted">Deleted on FA</div>
+        <div v-else-if="edited_at" class="gallery-tile__upstream">Edited on FA</div>
       </div>
     </div>
   `,
-  props: ['id', 'title', 'username', 'account_name', 'content_name', 'date_uploaded', 'is_content_saved', 'thumbnail_name', 'is_thumbnail_saved', 'rating'],
+  props: ['id', 'title', 'username', 'account_name', 'content_name', 'date_uploaded', 'is_content_saved', 'thumbnail_name', 'is_thumbnail_saved', 'rating', 'deleted_at', 'edited_at'],
   emits: ['loadSubmission', 'searchUser'],
   data() {
     return {
@@ -64,6 +66,9 @@ export default {
     relativeDate() {
       return getRelativeTime(+new Date(this.date_uploaded));
     },
+    fullDate() {
+      return getFullDate(this.date_uploaded);
+    },
     classRating() {
       return this?.rating?.toLowerCase();
     }
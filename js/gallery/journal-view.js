@@ -0,0 +1,146 @@
+import getRelativeTime, { getFullDate } from './relative-time.js';
+
+export default {
+  name: 'journal-view',
+  template: `
+    <div class="journal-view" @click="possibleOpen">
+      <template v-if="journalData">
+        <div class="journal-container">
+          <button class="close-btn" @click="close">✖ Close</button>
+          <div class="submission-info__header">
+            <div class="submission-info__user-icon">
+              <img :src="getCleanUserImg(journal.username)" @error="fixIcon"/>
+            </div>
+            <div class="submission-info__title">{{journal.title}}</div>
+            <div class="submission-info__user">
+              <span>By {{journal.username}} | </span>
+              <b :title="journal.date" :alt="journal.date">Posted: {{getDate(journal.date)}}</b>
+            </div>
+          </div>
+          <div class="journal-desc" v-html="getCleanDesc(journal.desc)"></div>
+        </div>
+        <div class="comment-container">
+          <template v-for="comment in journalData.comments">
+            <div class="comment" :style="comment.width">
+              <div class="comment-icon"><img :src="getCleanUserImg(comment.username)" @error="fixIcon" /></div>
+              <div class="comment-header">
+                <div class="comment-user">
+                  {{comment.username}}
+                  <span :alt="getFullDate(comment.date)" :title="getFullDate(comment.date)">{{getDate(comment.date)}}</span>
+                </div>
+                <div class="comment-subtitle">{{comment.subtitle}}</div>
+              </div>
+              <div class="comment-desc" v-html="getCleanDesc(comment.desc)"></div>
+            </div>
+          </template>
+        </div>
+      </template>
+      <template v-else>
+        <div class="gallery-navigation">
+          <button class="gallery-prev" :disabled="!offset" @click="previous">Prev</button>
+          <h2 class="gallery-search-title">{{title}}</h2>
+          <button class="gallery-next" :disabled="results.length < count" @click="next">Next</button>
+        </div>
+        <div class="journal-list">
+          <div class="journal-list__item" v-for="result in results" :key="result.id">
+            <div class="journal-list__title" @click="loadJournal(result.id)">{{result.title || '[No Title]'}}</div>
+            <div class="journal-list__info">
+              by <span @click="searchUser(result.username)">{{result.username}}</span>
+              | <span :title="result.date" :alt="result.date">{{getDate(result.date)}}</span>
+            </div>
+          </div>
+          <p v-if="!results.length">No journals!</p>
+        </div>
+      </template>
+    </div>
+  `,
+  props: ['query'],
+  emits: ['searchUser'],
+  data() {
+    return {
+      count: 28,
+      offset: 0,
+      results: [],
+      journalData: null,
+      avatars: {},
+    };
+  },
+  mounted() {
+    this.getResults();
+  },
+  watch: {
+    query() {
+      this.offset = 0;
+      this.journalData = null;
+      this.getResults();
+    },
+  },
+  computed: {
+    journal() {
+      return this.journalData?.journal || {};
+    },
+    title() {
+      if (this.query?.username) return `Journals for User: "${this.query.username}"`;
+      return 'Journals';
+    },
+  },
+  methods: {
+    async getResults() {
+      const payload = {
+        offset: this.offset,
+        count: this.count,
+        query: { ...this.query },
+      };
+      this.results = await window.getJournalPage(payload);
+    },
+    previous() {
+      this.offset -= this.count;
+      this.getResults();
+    },
+    next() {
+      this.offset += this.count;
+      this.getResults();
+    },
+    async loadJournal(id) {
+      this.journalData = await window.getJournal(id);
+      const names = [this.journal.username, ...(this.journalData?.comments || []).map(c => c.username)]
+        .filter(Boolean)
+        .map(this.getCleanAccountName);
+      this.avatars = await window.getAvatarPaths(names);
+      window.scrollTo(0, 0);
+    },
+    close() {
+      this.journalData = null;
+    },
+    searchUser(username) {
+      this.$emit('searchUser', username);
+    },
+    getFullDate,
+    getDate(date) {
+      if (!date) return '';
+      return getRelativeTime(+new Date(date));
+    },
+    getCleanAccountName(name = '') {
+      return name.split(' ')[0].toLowerCase().replace(/[_]/g, '');
+    },
+    getCleanUserImg(name = '') {
+      const cleanName = this.getCleanAccountName(name);
+      return this.avatars[cleanName] || `https://a.furaffinity.net/${cleanName}.gif`;
+    },
+    getCleanDesc(desc = '') {
+      return (desc || '')
+        .replace(/"\/\//gi, '"https://')
+        .replace(/"\/user/gi, '"https://www.furaffinity.net/user')
+        .replace(/img src/gi, `img onerror='this.src="../html/resources/_default.gif"' src`);
+    },
+    fixIcon(e) {
+      e.target.src = '../html/resources/_default.gif';
+    },
+    possibleOpen(e) {
+      const url = e.target.closest('a')?.href;
+      if (!url) return;
+      e.preventDefault();
+      window.openUrl?.(url);
+    },
+  },
+}
@@ -23,4 +23,13 @@ const getRelativeTime = (d1, d2 = new Date()) => {
       return rtf.format(Math.round(elapsed/units[u]), u);
 }
 
+/**
+ * Formats a saved date for hover text, in the local time and format.
+ * Dates that can't be read are shown as they were saved.
+ */
+export const getFullDate = (date) => {
+  const parsed = new Date(date);
+  return isNaN(parsed) ? (date || '') : parsed.toLocaleString();
+}
+
 export default getRelativeTime;
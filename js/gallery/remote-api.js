@@ -0,0 +1,44 @@
+/**
+ * When the viewer is opened from the gallery server instead of the app window,
+ * these stand in for the functions the app normally provides, using the
+ * server's JSON API. Anything that would download or change files is left out.
+ */
+
+async function getJSON(path, params = {}) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    search.set(key, typeof value === 'object' ? JSON.stringify(value) : value);
+  }
+  const res = await fetch(`${path}?${search}`);
+  if (!res.ok) return null;
+  return res.json();
+}
+const readOnly = async () => false;
+
+if (location.protocol.startsWith('http')) {
+  Object.assign(window, {
+    getGalleryPage: async ({ offset, count, query, sortOrder, sortBy, after } = {}) => {
+      return await getJSON('/api/gallery', { offset, count, query, sortOrder, sortBy, after }) || [];
+    },
+    getSubmissionPage: (id) => getJSON(`/api/submission/${id}`),
+    getJournalPage: async ({ offset, count, query } = {}) => {
+      return await getJSON('/api/journals', { offset, count, query }) || [];
+    },
+    getJournal: (id) => getJSON(`/api/journal/${id}`),
+    getTagCounts: async (query = {}) => await getJSON('/api/tags', { query }) || [],
+    getFolders: async (username) => await getJSON('/api/folders', { username }) || [],
+    getAvatarPaths: async (names = []) => await getJSON('/api/avatars', { names: names.join(',') }) || {},
+    getContentPath: async () => '/content',
+    openUrl: (url) => window.open(url, '_blank'),
+    downloadComments: readOnly,
+    downloadContent: readOnly,
+    downloadSubmission: readOnly,
+    recheckSubmission: async () => null,
+    favoriteSubmission: async () => '',
+    getDuplicateReport: async () => ({ groups: [], wastedBytes: 0 }),
+    hardlinkDuplicates: readOnly,
+  });
+  // Runs once the viewer has mounted and is listening for it
+  getJSON('/api/page-info').then(data => data && window.setPageInfo?.(data));
+}
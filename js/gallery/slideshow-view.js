@@ -0,0 +1,158 @@
+export default {
+  name: 'slideshow-view',
+  template: `
+    <div class="slideshow" @click.self="togglePaused">
+      <img v-if="isImg" class="slideshow__image" :src="imgPath" :key="imgPath" @click="togglePaused" />
+      <div v-else-if="current" class="slideshow__other" @click="togglePaused">Filetype: {{fileExtension}}</div>
+      <div v-else class="slideshow__other">{{loading ? 'Loading...' : 'Nothing to show!'}}</div>
+      <div class="slideshow__info" v-if="current">
+        <b>{{current.title}}</b> by {{current.username}}
+        <span v-if="paused"> | Paused</span>
+      </div>
+      <div class="slideshow__controls">
+        <button @click="prev">◀</button>
+        <button @click="togglePaused">{{paused ? 'Play' : 'Pause'}}</button>
+        <button @click="next">▶</button>
+        <label for="slideshow-interval">Every</label>
+        <select id="slideshow-interval" v-model.number="interval" @change="restartTimer">
+          <option v-for="n in intervals" :value="n">{{n}}s</option>
+        </select>
+        <input type="checkbox" id="slideshow-images" v-model="imagesOnly" @change="restart" />
+        <label for="slideshow-images">Images only</label>
+        <label for="slideshow-rating">Rating:</label>
+        <select id="slideshow-rating" v-model="rating" @change="restart">
+          <option value="">Any</option>
+          <option>General</option>
+          <option>Mature</option>
+          <option>Adult</option>
+        </select>
+        <button @click="close">✖ Close</button>
+      </div>
+    </div>
+  `,
+  props: ['query', 'sortOrder', 'sortBy', 'startOffset'],
+  emits: ['close', 'openOriginal', 'favorite'],
+  data() {
+    return {
+      count: 28,
+      offset: 0,
+      index: 0,
+      items: [],
+      contentPath: '',
+      interval: 5,
+      intervals: [3, 5, 10, 20, 30, 60],
+      imagesOnly: true,
+      rating: '',
+      paused: false,
+      loading: false,
+      timer: null,
+    };
+  },
+  async mounted() {
+    this.offset = this.startOffset || 0;
+    this.contentPath = await window.getContentPath();
+    window.addEventListener('keydown', this.onKeydown);
+    document.addEventListener('fullscreenchange', this.onFullscreenChange);
+    // The whole page, so notices still show over the slideshow
+    document.documentElement.requestFullscreen?.().catch(() => {});
+    await this.getItems();
+    this.restartTimer();
+  },
+  beforeUnmount() {
+    clearInterval(this.timer);
+    window.removeEventListener('keydown', this.onKeydown);
+    document.removeEventListener('fullscreenchange', this.onFullscreenChange);
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+  },
+  computed: {
+    current() {
+      return this.items[this.index];
+    },
+    slideQuery() {
+      // Only downloaded files can be shown
+      const filters = { ...this.query?.filters, saved: 'saved' };
+      if (this.imagesOnly) filters.fileType = 'image';
+      if (this.rating) filters.rating = this.rating;
+      return { ...this.query, filters };
+    },
+    isImg() {
+      return this.current && /(png|jpg|gif|webp|jpeg)$/i.test(this.current.content_name);
+    },
+    imgPath() {
+      const account = this.current.account_name.replace(/\.$/, '._');
+      return `${this.contentPath}\\${account}\\${this.current.content_name}`;
+    },
+    fileExtension() {
+      return this.current.content_name.split('.').pop().toUpperCase();
+    },
+  },
+  methods: {
+    async getItems() {
+      this.loading = true;
+      this.items = await window.getGalleryPage({
+        offset: this.offset,
+        count: this.count,
+        query: this.slideQuery,
+        sortOrder: this.sortOrder,
+        sortBy: this.sortBy,
+      });
+      this.loading = false;
+    },
+    async next() {
+      if (this.loading) return;
+      if (this.index < this.items.length - 1) return this.index++;
+      // Go on to the next page, or back to the start once out of results
+      this.offset = this.items.length < this.count ? 0 : this.offset + this.count;
+      this.index = 0;
+      await this.getItems();
+      if (!this.items.length && this.offset) {
+        this.offset = 0;
+        await this.getItems();
+      }
+    },
+    async prev() {
+      if (this.loading) return;
+      if (this.index > 0) return this.index--;
+      if (!this.offset) return;
+      this.offset = Math.max(this.offset - this.count, 0);
+      await this.getItems();
+      this.index = this.items.length - 1;
+    },
+    restart() {
+      this.offset = 0;
+      this.index = 0;
+      this.getItems();
+      this.restartTimer();
+    },
+    restartTimer() {
+      clearInterval(this.timer);
+      if (!this.paused) this.timer = setInterval(this.next, this.interval * 1000);
+    },
+    togglePaused() {
+      this.paused = !this.paused;
+      this.restartTimer();
+    },
+    close() {
+      this.$emit('close');
+    },
+    onFullscreenChange() {
+      // Leaving fullscreen with Esc also ends the slideshow
+      if (!document.fullscreenElement) this.close();
+    },
+    onKeydown(e) {
+      if (e.target.closest?.('input, select, textarea') || e.ctrlKey || e.metaKey || e.altKey) return;
+      const actions = {
+        ArrowRight: () => { this.next(); this.restartTimer(); },
+        ArrowLeft: () => { this.prev(); this.restartTimer(); },
+        ' ': this.togglePaused,
+        Escape: this.close,
+        o: () => this.current && this.$emit('openOriginal', this.current),
+        f: () => this.current && this.$emit('favorite', this.current.id),
+      };
+      const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+      if (!action) return;
+      e.preventDefault();
+      action();
+    },
+  },
+}
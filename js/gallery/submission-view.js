@@ -1,4 +1,4 @@
-import getRelativeTime from './relative-time.js';
+import getRelativeTime, { getFullDate } from './relative-time.js';
 
 export default {
   name: 'submission-view',
@@ -26,7 +26,20 @@ export default {
         </div>
         <div class="submission-metadata">
           <button class="close-btn" @click="close">✖ Close</button>
+          <div v-if="hasComicLinks" class="submission-metadata__comic-nav">
+            <button v-for="relation in ['first', 'prev', 'next']" :disabled="!navLinks[relation] || downloading"
+              :class="{ 'not-saved': navLinks[relation] && !navLinks[relation].is_saved }"
+              :title="getNavTitle(relation)" :alt="getNavTitle(relation)"
+              @click="loadLinked(relation)">{{navText[relation]}}</button>
+          </div>
           <button class="full-size-btn" :disabled="!isDownloadable" @click.self="openInNewWindow">View Full Size</button>
+          <div v-if="submission.deleted_at" class="submission-metadata__upstream deleted" :title="getFullDate(submission.deleted_at)" :alt="getFullDate(submission.deleted_at)">
+            Deleted from FA {{getCommentDate(submission.deleted_at)}}
+          </div>
+          <div v-if="submission.edited_at" class="submission-metadata__upstream" :title="getFullDate(submission.edited_at)" :alt="getFullDate(submission.edited_at)">
+            Edited on FA {{getCommentDate(submission.edited_at)}}
+          </div>
+          <button class="recheck-btn" :disabled="rechecking" @click="recheck" :title="recheckAlt" :alt="recheckAlt">{{rechecking ? 'Checking...' : 'Check FA for changes'}}</button>
           <div class="submission-metadata__info">
             <h3>Rating</h3>
             <div :class="[cleanRating]">{{submission.rating || '[Missing]'}}</div>
@@ -38,12 +51,46 @@ export default {
           <div class="submission-metadata__info">
             <h3>Tags</h3>
             <ul class="submission-metadata__tags">
-              <li v-for="tag in cleanTags">
+              <li v-for="tag in cleanTags" @click="searchTag(tag)" title="Search for this tag">
                 {{tag}}
               </li>
             </ul>
             <div v-if="!cleanTags.length">No Tags</div>
           </div>
+          <div v-if="history && history.length" class="submission-metadata__info">
+            <h3>Earlier Versions</h3>
+            <ul class="submission-metadata__history">
+              <li v-for="version in history" :key="version.id">
+                <b :title="getFullDate(version.date)" :alt="getFullDate(version.date)">Until {{getCommentDate(version.date)}}</b>
+                <div v-if="hasChanged(version, 'title')">Title: {{version.title}}</div>
+                <div v-if="hasChanged(version, 'tags')">Tags: {{(version.tags || '').split(',').join(', ') || 'No Tags'}}</div>
+                <details v-if="hasChanged(version, 'desc')">
+                  <summary>Description</summary>
+                  <div v-html="getCleanDesc(version.desc)"></div>
+                </details>
+                <div v-if="hasChanged(version, 'content_url')">
+                  File: <a href="#" @click.prevent="openOldFile(version)">{{version.content_name}}</a>
+                </div>
+              </li>
+            </ul>
+          </div>
+          <div v-if="folders && folders.length" class="submission-metadata__info">
+            <h3>Gallery Folders</h3>
+            <ul class="submission-metadata__folders">
+              <li v-for="folder in folders" :key="folder.id" :class="{ removed: folder.removed_date }" :title="getFolderTitle(folder)" :alt="getFolderTitle(folder)">
+                <span v-if="folder.group_name">{{folder.group_name}} / </span><b>{{folder.title}}</b>
+              </li>
+            </ul>
+          </div>
+          <div v-if="favorites && favorites.length" class="submission-metadata__info">
+            <h3>Favorited By</h3>
+            <ul class="submission-metadata__faves">
+              <li v-for="fave in favorites" :class="{ removed: fave.removed_date }" :title="getFaveTitle(fave)" :alt="getFaveTitle(fave)">
+                <b>{{fave.username}}</b>
+                <div>{{getFaveText(fave)}}</div>
+              </li>
+            </ul>
+          </div>
         </div>
         <div class="submission-info">
           <div class="submission-info__header">
@@ -69,7 +116,7 @@ export default {
             <div class="comment-header">
               <div class="comment-user">
                 {{getCleanUsername(comment.username)}}
-                <span :alt="comment.date" :title="comment.date">{{getCommentDate(comment.date)}}</span>
+                <span :alt="getFullDate(comment.date)" :title="getFullDate(comment.date)">{{getCommentDate(comment.date)}}</span>
               </div>
               <div class="comment-subtitle">{{comment.subtitle}}</div>
             </div>
@@ -79,21 +126,31 @@ export default {
       </div>
     </div>
   `,
-  props: ['submission', 'comments'],
-  emits: ['clearSubmission', 'downloadComments', 'downloadContent'],
+  props: ['submission', 'comments', 'comicLinks', 'favorites', 'history', 'folders'],
+  emits: ['clearSubmission', 'downloadComments', 'downloadContent', 'searchTag', 'loadSubmission', 'downloadSubmission', 'recheckSubmission'],
   data() {
     return {
       contentPath: '',
       altText: 'Click to open in a new tab!',
       error: false,
+      avatars: {},
+      downloading: false,
+      rechecking: false,
+      recheckAlt: 'Look for edits on FA, or if it was deleted. Earlier versions are kept here',
+      navText: { first: '⏮ First', prev: '◀ Prev', next: 'Next ▶' },
     };
   },
   beforeMount() {
    this.getContentPath();
+   this.getAvatars();
   },
   watch: {
     submission() {
       this.error = false;
+      this.getAvatars();
+    },
+    comments() {
+      this.getAvatars();
     }
   },
   computed: {
@@ -162,7 +219,7 @@ export default {
       return getRelativeTime(+new Date(this.submission.date_uploaded));
     },
     dateUploaded() {
-      return this.submission.date_uploaded;
+      return getFullDate(this.submission.date_uploaded);
     },
     cleanDesc() {
       return this.getCleanDesc(this.submission.desc);
@@ -170,6 +227,16 @@ export default {
     cleanTags() {
       return this.submission.tags?.split(',') || [];
     },
+    navLinks() {
+      // Description links come first, so they win over FA's gallery links
+      return (this.comicLinks || []).reduce((acc, link) => {
+        acc[link.relation] = acc[link.relation] || link;
+        return acc;
+      }, {});
+    },
+    hasComicLinks() {
+      return !!Object.keys(this.navLinks).length;
+    },
     cleanRating() {
       return this.submission.rating?.toLowerCase() || '';
     }
@@ -178,9 +245,18 @@ export default {
     getCleanUsername(name) {
       return name.replace(/\bOP\b/gi, ' [OP] ');
     },
+    getCleanAccountName(name = '') {
+      return name.split(' ')[0].toLowerCase().replace(/[_]/g, '');
+    },
     getCleanUserImg(name) {
-      const cleanName = name.split(' ')[0].toLowerCase().replace(/[_]/g, '');
-      return `https://a.furaffinity.net/${cleanName}.gif`;
+      const cleanName = this.getCleanAccountName(name);
+      return this.avatars[cleanName] || `https://a.furaffinity.net/${cleanName}.gif`;
+    },
+    async getAvatars() {
+      const names = [this.submission?.username, ...(this.comments || []).map(c => c.username)]
+        .filter(Boolean)
+        .map(this.getCleanAccountName);
+      this.avatars = await window.getAvatarPaths(names);
     },
     getCleanDesc(desc = '') {
       return desc
@@ -188,6 +264,21 @@ export default {
         .replace(/"\/user/gi, '"https://www.furaffinity.net/user')
         .replace(/img src/gi, `img onerror='this.src="../html/resources/_default.gif"' src`);
     },
+    getFullDate,
+    getFaveText(fave) {
+      if (fave.removed_date) return `No longer in favorites (${getRelativeTime(+new Date(fave.removed_date))})`;
+      if (!fave.first_seen) return 'Favorited';
+      return `Favorited ${getRelativeTime(+new Date(fave.first_seen))}`;
+    },
+    getFaveTitle(fave) {
+      // FA doesn't show when something was faved, only when it was first found
+      const seen = [
+        fave.first_seen && `First seen in favorites: ${getFullDate(fave.first_seen)}`,
+        fave.last_seen && `Last seen: ${getFullDate(fave.last_seen)}`,
+        fave.removed_date && `Found missing: ${getFullDate(fave.removed_date)}`,
+      ];
+      return seen.filter(Boolean).join('\n');
+    },
     getCommentDate(date) {
       if (!date) return '';
       return getRelativeTime(+new Date(date));
@@ -205,6 +296,36 @@ export default {
     downloadContent() {
       this.$emit('downloadContent', this.submission);
     },
+    searchTag(tag) {
+      this.$emit('searchTag', tag);
+    },
+    getNavTitle(relation) {
+      const link = this.navLinks[relation];
+      if (!link) return '';
+      if (!link.is_saved) return 'Not archived yet, click to download it';
+      return link.target_title || `Submission ${link.target_id}`;
+    },
+    async loadLinked(relation) {
+      const link = this.navLinks[relation];
+      if (!link) return;
+      if (link.is_saved) return this.$emit('loadSubmission', link.target_id);
+      if (!window.confirm(`This submission isn't archived yet. Download it now?`)) return;
+      this.downloading = true;
+      this.$emit('downloadSubmission', link.target_id, () => this.downloading = false);
+    },
+    recheck() {
+      this.rechecking = true;
+      this.$emit('recheckSubmission', this.submission.id, () => this.rechecking = false);
+    },
+    getFolderTitle(folder) {
+      return folder.removed_date ? `Taken out of this folder: ${getFullDate(folder.removed_date)}` : 'In this folder on FA';
+    },
+    hasChanged(version, field) {
+      return (version.changed || '').split(',').includes(field);
+    },
+    openOldFile(version) {
+      window.open(`${this.contentPath}\\${this.cleanAccountName}\\${version.content_name}`, '_blank');
+    },
     openInNewWindow() {
       window.open(this.computedContentPath, '_blank');
     },
@@ -0,0 +1,67 @@
+export default {
+  name: 'tag-browser',
+  template: `
+    <div class="tag-browser">
+      <div class="gallery-navigation">
+        <input class="tag-browser__filter" type="text" placeholder="Filter tags..." v-model.trim="filter" @input="getTags" />
+        <h2 class="gallery-search-title">{{title}}</h2>
+        <select v-model="layout">
+          <option value="cloud">Cloud</option>
+          <option value="list">List</option>
+        </select>
+      </div>
+      <div class="journal-list">
+        <ul :class="['tag-browser__tags', layout]">
+          <li v-for="tag in tags" :key="tag.name" :style="getTagStyle(tag)" @click="searchTag(tag.name)">
+            {{tag.name}} <span class="tag-browser__count">{{tag.count}}</span>
+          </li>
+        </ul>
+        <p v-if="!tags.length">No tags!</p>
+      </div>
+    </div>
+  `,
+  props: ['query'],
+  emits: ['searchTag'],
+  data() {
+    return {
+      tags: [],
+      filter: '',
+      layout: 'cloud',
+    };
+  },
+  mounted() {
+    this.getTags();
+  },
+  watch: {
+    query() {
+      this.getTags();
+    },
+  },
+  computed: {
+    title() {
+      if (this.query?.username) {
+        const type = this.query.galleryType ? 'favorites' : 'gallery';
+        return `Tags in "${this.query.username}" ${type}`;
+      }
+      return 'All Tags';
+    },
+    maxCount() {
+      return Math.max(...this.tags.map(t => t.count), 1);
+    },
+  },
+  methods: {
+    async getTags() {
+      const { username, galleryType } = this.query || {};
+      this.tags = await window.getTagCounts({ username, galleryType, filter: this.filter });
+    },
+    getTagStyle({ count }) {
+      if (this.layout !== 'cloud') return {};
+      // Scale by log so a few huge tags don't make the rest unreadable
+      const size = 0.8 + Math.log(count) / Math.log(this.maxCount + 1) * 1.2;
+      return { fontSize: `${size.toFixed(2)}em` };
+    },
+    searchTag(name) {
+      this.$emit('searchTag', name);
+    },
+  },
+}
@@ -0,0 +1,99 @@
+import galleryTile from './gallery-tile.js';
+
+export default {
+  name: 'virtual-grid',
+  components: {
+    galleryTile,
+  },
+  template: `
+    <div class="virtual-grid">
+      <div class="virtual-grid__body" :style="{ height: totalHeight + 'px' }">
+        <div class="virtual-grid__window" :style="{ transform: 'translateY(' + firstRow * rowHeight + 'px)' }">
+          <div v-for="row in visibleRows" :key="row.index" class="virtual-grid__row" :style="{ height: rowHeight + 'px' }">
+            <gallery-tile v-for="result in row.items" :key="result.id" v-bind="result" :style="tileStyle"
+              @load-submission="loadSubmission" @search-user="searchUser"></gallery-tile>
+          </div>
+        </div>
+      </div>
+      <p v-if="loading" class="virtual-grid__status">Loading...</p>
+      <p v-else-if="!hasMore && items.length" class="virtual-grid__status">That's everything!</p>
+    </div>
+  `,
+  props: ['items', 'hasMore', 'loading'],
+  emits: ['loadMore', 'loadSubmission', 'searchUser'],
+  data() {
+    return {
+      rowHeight: 420,
+      tileWidth: 330,
+      // Rows kept rendered above and below the screen
+      buffer: 2,
+      columns: 4,
+      firstRow: 0,
+      lastRow: 0,
+      frame: null,
+    };
+  },
+  mounted() {
+    window.addEventListener('scroll', this.onScroll, { passive: true });
+    window.addEventListener('resize', this.onScroll);
+    this.update();
+  },
+  beforeUnmount() {
+    window.removeEventListener('scroll', this.onScroll);
+    window.removeEventListener('resize', this.onScroll);
+    cancelAnimationFrame(this.frame);
+  },
+  watch: {
+    items() {
+      this.$nextTick(this.update);
+    },
+    loading() {
+      this.$nextTick(this.update);
+    },
+  },
+  computed: {
+    totalRows() {
+      return Math.ceil(this.items.length / this.columns);
+    },
+    totalHeight() {
+      return this.totalRows * this.rowHeight;
+    },
+    visibleRows() {
+      const rows = [];
+      for (let index = this.firstRow; index <= Math.min(this.lastRow, this.totalRows - 1); index++) {
+        rows.push({ index, items: this.items.slice(index * this.columns, (index + 1) * this.columns) });
+      }
+      return rows;
+    },
+    tileStyle() {
+      return { width: `calc(${100 / this.columns}% - 16px)` };
+    },
+  },
+  methods: {
+    onScroll() {
+      // Once per frame is plenty, scroll events fire much faster than that
+      if (this.frame) return;
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.update();
+      });
+    },
+    update() {
+      if (!this.$el?.getBoundingClientRect) return;
+      const { top, width } = this.$el.getBoundingClientRect();
+      // Hidden while a submission is open
+      if (!width) return;
+      this.columns = Math.max(1, Math.floor(width / this.tileWidth));
+      const scrolled = Math.max(0, -top);
+      this.firstRow = Math.max(0, Math.floor(scrolled / this.rowHeight) - this.buffer);
+      this.lastRow = Math.ceil((scrolled + window.innerHeight) / this.rowHeight) + this.buffer;
+      if (this.hasMore && !this.loading && this.lastRow >= this.totalRows - 1) this.$emit('loadMore');
+    },
+    loadSubmission(id) {
+      this.$emit('loadSubmission', id);
+    },
+    searchUser(username) {
+      this.$emit('searchUser', username);
+    },
+  },
+}
@@ -15,10 +15,19 @@ function setRequestHeaders(faCookies) {
     }
   };
 }
-export async function checkForOldTheme(page) {
+/**
+ * Checks if the logged in account uses the classic FA theme, which can't be scraped.
+ * @returns {Promise<Boolean|null>} Null if FA could not be reached
+ */
+export async function usesOldTheme() {
   const $ = await getHTML(FA_URL_BASE).catch(() => false);
-  if (!$) return console.log(`[Warn] FA might be down, please try again later`);
-  if (/classic/i.test($('body').data('static-path'))) {
+  if (!$) return null;
+  return /classic/i.test($('body').data('static-path'));
+}
+export async function checkForOldTheme(page) {
+  const isOldTheme = await usesOldTheme();
+  if (isOldTheme === null) return console.log(`[Warn] FA might be down, please try again later`);
+  if (isOldTheme) {
     console.log(`[Warn] Using incompatible old FA theme, prompting user to update settings`);
     page = await browser.newPage();
     page.setDefaultNavigationTimeout(0);
@@ -67,11 +76,20 @@ async function checkIfCookiesExpired() {
   return notLoggedIn;
 }
 
-export async function checkIfLoggedIn(newBrowser) {
+/**
+ * Gets the FA login cookies saved in the browser profile.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getBrowserCookies(newBrowser) {
   browser = browser || newBrowser;
+  if (!browser) return [];
   const queryPage = page || await browser.pages().then(p => p[0]);
   const cookies = await queryPage.cookies(FA_URL_BASE);
+  return cookies.filter(val => /^(a|b)$/i.test(val.name));
+}
+export async function checkIfLoggedIn(newBrowser) {
   const loggedInCookies = { a: false, b: false };
+  const cookies = await getBrowserCookies(newBrowser);
   cookies.forEach(val => {
     if (/^(a|b)$/i.test(val.name)) loggedInCookies[val.name] = val.value;
   });
@@ -80,6 +98,17 @@ export async function checkIfLoggedIn(newBrowser) {
   const areExpired = await checkIfCookiesExpired();
   return !areExpired;
 }
+/**
+ * Logs in with the given cookies, without needing the browser.
+ * @param {Array<Object>} cookies The 'a' and 'b' cookies
+ * @returns {Promise<Boolean>} If the cookies are still valid
+ */
+export async function loginWithCookies(cookies) {
+  const loggedInCookies = { a: false, b: false };
+  cookies.forEach(val => loggedInCookies[val.name] = val.value);
+  setRequestHeaders(loggedInCookies);
+  return !await checkIfCookiesExpired();
+}
 
 async function logInUser() {
   page = page || await browser.newPage();
@@ -0,0 +1,111 @@
+import * as db from './database-interface.js';
+import { stop, setActive, sendStartupInfo } from './utils.js';
+import { resumeWaitingJobs, isInProgress, queueUsers } from './scrape-data.js';
+
+// How often to look for users due to sync
+const checkTime = 60 * 1000;
+
+let timer = null;
+let checking = false;
+// Scheduled users were queued, but downloads couldn't start yet
+let isWaiting = false;
+let downloads = null;
+let login = async () => true;
+
+/**
+ * Queues every user due to sync, then starts downloading if nothing else is.
+ * Syncs are always incremental, only walking each gallery until it reaches
+ * submissions that are already saved.
+ * @returns {Promise<void>}
+ */
+export async function checkSchedules() {
+  if (checking) return;
+  checking = true;
+  try {
+    const due = await db.getDueSchedules();
+    for (const { username, options } of due) {
+      await queueUsers([username], { ...options, fullResync: false, scheduled: true });
+      await db.setScheduleQueued(username);
+    }
+    if (due.length) console.log(`[Schedule] Time to sync: ${due.map(s => s.username).join(', ')}`);
+    isWaiting ||= due.length > 0;
+    // Anything already running picks up the queued users by itself
+    if (!isWaiting || isInProgress()) return;
+    if (!await login()) return console.log('[Schedule] Not logged in, trying again later');
+    isWaiting = false;
+    stop.reset();
+    setActive(true);
+    downloads = resumeWaitingJobs().finally(() => downloads = null);
+  } catch (e) {
+    console.log(`[Warn] Could not check sync schedule: ${e?.message || e}`);
+  } finally {
+    checking = false;
+    sendStartupInfo();
+  }
+}
+/**
+ * Checks for users due to sync every minute, until stopped.
+ * @param {Object} options
+ * @param {Function} options.login Logs in before syncing, resolving to false if that failed
+ */
+export function startScheduler(options = {}) {
+  if (options.login) login = options.login;
+  if (timer) return;
+  timer = setInterval(checkSchedules, checkTime);
+  console.log('[Schedule] Scheduled syncs running');
+  return checkSchedules();
+}
+/**
+ * Stops checking for users due to sync.
+ * @returns {Promise<void>} Resolves once any sync the scheduler started is done
+ */
+export async function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+  await downloads;
+}
+/**
+ * Adds users to the sync schedule, or changes how often they're synced.
+ * @param {Array<String>} names
+ * @param {Number} intervalHours Time between syncs
+ * @param {Object} options What to download from each user, see startDataScraping
+ * @returns {Promise<Number>} How many users were scheduled
+ */
+export async function scheduleUsers(names, intervalHours, options) {
+  names = names.map(n => `${n}`.trim().toLowerCase()).filter(n => !!n);
+  intervalHours = Math.round(+intervalHours);
+  if (!names.length || !(intervalHours >= 1)) return 0;
+  const { scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals } = options;
+  const saved = await db.saveSchedules(names, intervalHours, { scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals });
+  console.log(`[Schedule] ${names.join(', ')} will sync every ${formatInterval(intervalHours)}`);
+  if (timer) checkSchedules();
+  else sendStartupInfo();
+  return saved;
+}
+const scheduleActions = {
+  sync: (name) => db.setScheduleDue(name),
+  enable: (name) => db.setScheduleEnabled(name, true),
+  disable: (name) => db.setScheduleEnabled(name, false),
+  remove: (name) => db.deleteSchedules([name]),
+};
+/**
+ * Changes a scheduled user.
+ * @param {String} name
+ * @param {String} action One of: sync (right away), enable, disable, remove
+ * @returns {Promise<Boolean>} If the schedule could be changed
+ */
+export async function updateSchedule(name, action) {
+  if (!scheduleActions[action]) return false;
+  const { changes } = await scheduleActions[action](`${name}`.toLowerCase());
+  if (timer && action !== 'remove') checkSchedules();
+  else sendStartupInfo();
+  return changes !== 0;
+}
+/**
+ * @param {Number} hours
+ * @returns {String} The interval, in days if it's a whole number of them
+ */
+export function formatInterval(hours) {
+  if (hours % 24) return hours === 1 ? 'hour' : `${hours} hours`;
+  return hours === 24 ? 'day' : `${hours / 24} days`;
+}
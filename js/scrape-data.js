@@ -1,90 +1,47 @@
 import random from 'random';
-import { FA_URL_BASE } from './constants.js';
+import { FA_URL_BASE, FA_USER_BASE } from './constants.js';
 import * as db from './database-interface.js';
-import { logProgress, waitFor, getHTML, stop, sendStartupInfo } from './utils.js';
-import fs from 'fs-extra';
-import { join } from 'node:path';
+import { logProgress, waitFor, getHTML, stop, sendStartupInfo, setActive, toISODate } from './utils.js';
+import { username as loggedInUsername } from './login.js';
+import { initDownloads, downloadProfileImage, saveDownloadConcurrency } from './download-content.js';
+import { verifyContent } from './verify-content.js';
+import { parseComicLinks, parseGalleryLinks } from './comic-links.js';
 const scrapeID = 'scrape-div';
 const progressID = 'data';
 const maxRetries = 6;
+// Number of already saved links in a row that ends an incremental gallery walk
+const knownLinkLimit = 24;
 
 /**
  * Walks the user's gallery in order to gather all submission links for future download.
- * @param {String} url Gallery URL
- * @param {Boolean} isScraps Is this the scraps folder or not?
+ * Galleries are listed newest first, so once a folder has been fully walked
+ * before, the walk can stop as soon as it reaches links that are already saved.
+ * @param {Object} options
+ * @param {String} options.url Gallery URL
+ * @param {String} options.username
+ * @param {Boolean} options.isScraps Is this the scraps folder or not?
+ * @param {Boolean} options.isFavorites Is this the favorites folder or not?
+ * @param {Object} options.folder Named gallery folder being walked, see getGalleryFolders
+ * @param {Boolean} options.fullResync Walk every page, even if already walked before
+ * @returns {Promise<Number>} How many new submission links were saved
  */
-/**
- * Checks if a submission already exists in the database to avoid duplicate downloads
- * @param {String} submissionUrl The URL of the submission to check
- * @param {String} username The username downloading the content
- * @returns {Promise<Boolean>} True if this submission is already processed
- */
-async function isSubmissionProcessed(submissionUrl, username) {
-  if (!submissionUrl) return false;
-  
-  // Ensure db is initialized
-  if (!db) {
-    console.error('Database is not initialized');
-    return false;
-  }
-  
-  try {
-    // Use getSubmissionOwner function to check if submission exists in database
-    const existingSubmission = await db.getSubmissionOwner(submissionUrl);
-    
-    if (!existingSubmission) {
-      return false;
-    }
-    
-    // Need to check if content is saved
-    // Since we don't have direct access to is_content_saved in getSubmissionOwner,
-    // we'll need to do an additional check
-    try {
-      const submissions = await db.getAllSubmissionsForUser(existingSubmission.username || existingSubmission.account_name);
-      const matchingSubmission = submissions.find(sub => 
-        sub.url === submissionUrl || sub.content_url === submissionUrl
-      );
-      
-      // If we don't have this submission in the database, it's not processed
-      if (!matchingSubmission) return false;
-      
-      // If it's in the database but content isn't saved yet, it's not fully processed
-      if (!matchingSubmission.is_content_saved) return false;
-    
-      // Check if the actual file exists on disk
-      if (matchingSubmission.content_name && username) {
-        const userDir = join(downloadDir, username.replace(/\.$/, '._'));
-        const regularPath = join(userDir, matchingSubmission.content_name);
-        const favoritesPath = join(userDir, `${username}_Favorites`, matchingSubmission.content_name);
-        
-        // If file exists in either location, it's processed
-        if (fs.existsSync(regularPath) || fs.existsSync(favoritesPath)) {
-          return true;
-        }
-      }
-    } catch (innerError) {
-      console.error('Error checking submission status:', innerError);
-      // Continue with the process even if this check fails
-    }
-  } catch (error) {
-    console.error('Error checking if submission is processed:', error);
-    return false;
-  }
-  
-  return false;
-}
-
-export async function getSubmissionLinks({ url, username, isScraps = false, isFavorites = false }) {
-  let dirName = (isFavorites) ? 'favorites': (isScraps) ? 'scraps' : 'gallery';
-  const baseDir = join('fa_gallery_downloader', username.toLowerCase(), dirName);
-  await fs.ensureDir(baseDir); // Ensure directory exists
+export async function getSubmissionLinks({ url, username, isScraps = false, isFavorites = false, folder = null, fullResync = false }) {
+  const dirName = (folder) ? `folder-${folder.id}` : (isFavorites) ? 'favorites': (isScraps) ? 'scraps' : 'gallery';
   const divID = `${scrapeID}${isScraps ? '-scraps':''}`;
+  const lastSync = await db.getGallerySync(username, dirName);
+  const stopAtKnown = !fullResync && !!lastSync?.last_full_sync;
+  const walkStart = new Date().toISOString();
+  let oldestFaveId = null;
   let currPageCount = 1;
-  let currLinks = 0;
+  let foundLinks = 0;
   let newLinks = 0;
+  let newFolderLinks = 0;
+  let knownInARow = 0;
+  let isFullSync = false;
   let stopLoop = false;
   let nextPage = ''; // Only valid if in favorites!
-  console.log(`[Data] Searching user ${dirName} for submission links...`, divID);
+  const walkName = folder ? `folder "${folder.title}"` : dirName;
+  console.log(`[Data] Searching user ${walkName} for ${stopAtKnown ? 'new ' : ''}submission links...`, divID);
   logProgress.busy(progressID);
   let retryCount = 0;
   while(!stopLoop && !stop.now) {
@@ -98,82 +55,214 @@ export async function getSubmissionLinks({ url, username, isScraps = false, isFa
         continue;
       } else {
         stop.now = true;
-        return console.log(`[Warn] FA might be down, please try again later`);
+        console.log(`[Warn] FA might be down, please try again later`);
+        return newLinks;
       }
     }
     retryCount = 0;
     // Check for content
     let scrapedLinks = Array.from($('figcaption a[href^="/view"]'))
       .map((div) => FA_URL_BASE + div.attribs.href);
-      
     if (!scrapedLinks.length) {
-      // console.log(`[Data] Found ${currPageCount} pages of submissions!`, divID);
+      isFullSync = true;
       break;
     }
-    
-    // Filter out submissions that are already processed
-    let filteredLinks = [];
-    for (const link of scrapedLinks) {
-      if (!(await isSubmissionProcessed(link, username))) {
-        filteredLinks.push(link);
-      }
+    const knownLinks = new Set((folder
+      ? await db.getKnownFolderLinks(folder.id, scrapedLinks)
+      : await db.getKnownLinks(scrapedLinks, isFavorites ? username : null)).map(r => r.url));
+    const pageLinks = scrapedLinks.filter(link => !knownLinks.has(link));
+    for (const link of scrapedLinks) knownInARow = knownLinks.has(link) ? knownInARow + 1 : 0;
+    // Links new to a folder are usually saved already, from the gallery walk
+    let unsavedLinks = pageLinks;
+    if (folder && pageLinks.length) {
+      const savedLinks = new Set((await db.getKnownLinks(pageLinks)).map(r => r.url));
+      unsavedLinks = pageLinks.filter(link => !savedLinks.has(link));
+      newFolderLinks += pageLinks.length;
     }
-    
-    // Update counters
-    newLinks += filteredLinks.length;
-    
-    // If we're filtering and have no new links, still count the page but process next
-    if (filteredLinks.length === 0) {
-      console.log(`[Data] No new submissions found on page ${currPageCount}, checking next page...`);
-      currPageCount++;
-      if (isFavorites) {
-        nextPage = $(`.pagination a.right`).attr('href');
-        if (nextPage) nextPage = url.split('/favorite')[0] + nextPage;
-        else break;
+    foundLinks += scrapedLinks.length;
+    newLinks += unsavedLinks.length;
+    if (unsavedLinks.length) {
+      await db.saveLinks(unsavedLinks, isScraps, username).catch(() => stopLoop = true);
+      if (stopLoop || stop.now) {
+        console.log('[Data] Stopped early!');
+        logProgress.reset(progressID);
+        break;
       }
-      await waitFor(random.int(1000, 2500));
-      continue;
     }
-    
-    // Save the filtered links to the database
-    await db.saveLinks(filteredLinks, isScraps, username).catch(() => stopLoop = true);
-    if (stopLoop || stop.now) {
-      console.log('[Data] Stopped early!');
-      logProgress.reset(progressID);
-      break;
-    }
-    
-    // For favorites, save the relationship between user and submission
+    // For favorites, save the relationship between user and submission. Every
+    // fave on the page is marked as seen, so ones that go missing can be found
     if (isFavorites && username) {
-      await db.saveFavorites(username, filteredLinks);
-      // Also set a flag to indicate these are favorites
-      for (const link of filteredLinks) {
-        try {
-          // Mark in database this is a favorite of username
-          await db.saveMetaData(link, {
-            is_favorite: 1,
-            favorite_username: username
-          });
-        } catch (error) {
-          console.log(`[Error] Failed to mark favorite: ${error.message}`);
-        }
-      }
+      const faveIds = getFaveIds($);
+      await db.saveFavorites(username, scrapedLinks, faveIds);
+      for (const id of Object.values(faveIds)) oldestFaveId = Math.min(oldestFaveId ?? id, id);
+    }
+    if (folder) await db.saveFolderLinks(folder.id, scrapedLinks);
+    if (stopAtKnown && (!pageLinks.length || knownInARow >= knownLinkLimit)) {
+      console.log(`[Data] Reached already saved submissions on page ${currPageCount}, stopping`, divID);
+      break;
     }
-    currLinks += newLinks;
     currPageCount++;
     if (isFavorites) {
       nextPage = $(`.pagination a.right`).attr('href');
       if (nextPage) nextPage = url.split('/favorite')[0] + nextPage;
-      else break;
+      else {
+        isFullSync = true;
+        break;
+      }
     }
     await waitFor(random.int(1000, 2500));
   }
-  if (!stop.now) {
-    const skippedLinks = currLinks - newLinks;
-    console.log(`[Data] ${currLinks} submissions found, ${newLinks} new submissions to download, ${skippedLinks} already downloaded`);
+  if (!stop.now && !stopLoop) {
+    await db.setGallerySynced(username, dirName, isFullSync);
+    console.log(`[Data] ${foundLinks} submissions found, ${newLinks} new submissions to download, ${foundLinks - newLinks} already saved`);
+    if (folder && newFolderLinks) console.log(`[Data] ${newFolderLinks} submission(s) newly found in folder "${folder.title}"`);
+    // Without fave IDs, only a walk of every page can tell what's missing
+    if (isFavorites && (isFullSync || oldestFaveId !== null)) {
+      const removed = await db.markRemovedFavorites(username, walkStart, isFullSync ? null : oldestFaveId);
+      if (removed) console.log(`[Data] ${removed} submission(s) no longer in ${username}'s favorites`);
+    }
+    // Folders have no order to go by, so only a full walk can tell
+    if (folder && isFullSync) {
+      const removed = await db.markRemovedFolderLinks(folder.id, walkStart);
+      if (removed) console.log(`[Data] ${removed} submission(s) no longer in folder "${folder.title}"`);
+    }
   }
   logProgress.reset(progressID);
   await sendStartupInfo();
+  return newLinks;
+}
+/**
+ * Finds the named folders listed on a user's gallery page. Folders that are
+ * grouped on FA keep the name of their group.
+ * @param {CheerioAPI} $ The user's gallery page
+ * @returns {Array<Object>} id, title, group_name and url of each folder, in FA's order
+ */
+function parseGalleryFolders($) {
+  const folders = new Map();
+  $('a[href*="/folder/"]').each((i, a) => {
+    const match = a.attribs.href.match(/\/gallery\/[^/]+\/folder\/(\d+)\/([^/?#]*)/);
+    if (!match || folders.has(match[1])) return;
+    const $a = $(a);
+    const slugTitle = decodeURIComponent(match[2]).replace(/-/g, ' ');
+    folders.set(match[1], {
+      id: match[1],
+      title: $a.text().replace(/^[\s❯»>]+/, '').trim() || slugTitle,
+      group_name: $a.closest('ul').prevAll('h4, h5, strong').first().text().trim(),
+      url: `${FA_URL_BASE}${match[0]}/`,
+    });
+  });
+  return [...folders.values()];
+}
+/**
+ * Saves the folders listed on a user's gallery page, then walks each one to
+ * save which submissions are in it.
+ * @param {Object} options
+ * @param {String} options.username
+ * @param {Boolean} options.fullResync Walk every page of every folder
+ * @param {Boolean} options.skipWalked Only walk folders that were never walked before
+ */
+export async function getGalleryFolders({ username, fullResync = false, skipWalked = false }) {
+  const $ = await getHTML(`${FA_URL_BASE}/gallery/${username}/`).catch(() => false);
+  if (!$) return console.log(`[Warn] Could not load the gallery folders of: ${username}`);
+  const folders = parseGalleryFolders($);
+  const removed = await db.saveFolders(username, folders);
+  if (removed) console.log(`[Data] ${removed} gallery folder(s) no longer listed for ${username}`);
+  if (!folders.length) return;
+  console.log(`[Data] Found ${folders.length} gallery folder(s) for ${username}`);
+  for (const folder of folders) {
+    if (stop.now) break;
+    if (skipWalked && !fullResync && await db.getGallerySync(username, `folder-${folder.id}`)) continue;
+    await waitFor(random.int(1000, 2500));
+    await getSubmissionLinks({ url: folder.url, username, folder, fullResync });
+  }
+}
+/**
+ * Gets FA's fave ID for each submission on a favorites page. Newer faves
+ * have higher IDs.
+ * @param {CheerioAPI} $
+ * @returns {Object} Fave ID for each submission URL
+ */
+function getFaveIds($) {
+  const faveIds = {};
+  $('figure[data-fav-id]').each((i, figure) => {
+    const href = $(figure).find('figcaption a[href^="/view"]').attr('href');
+    if (href) faveIds[FA_URL_BASE + href] = +figure.attribs['data-fav-id'];
+  });
+  return faveIds;
+}
+/**
+ * Finds every submission link in the given text, such as a pasted list of
+ * URLs. Full size and view links both work, as do bare submission IDs on
+ * their own line.
+ * @param {String} text
+ * @returns {Array<String>} Unique submission URLs, in the order found
+ */
+export function parseSubmissionUrls(text = '') {
+  const ids = [...`${text}`.matchAll(/\/(?:view|full)\/(\d+)|^\s*(\d+)\s*$/gm)]
+    .map(([, linkId, bareId]) => linkId || bareId);
+  return [...new Set(ids)].map(id => `${FA_URL_BASE}/view/${id}/`);
+}
+/**
+ * Saves the given submission links to be scraped and downloaded, skipping
+ * any that are already saved.
+ * @param {Array<String>} links
+ * @returns {Promise<Number>} How many links were new
+ */
+async function saveNewLinks(links) {
+  let newLinks = 0;
+  // Keeps big pasted lists under SQLite's parameter limit
+  for (let i = 0; i < links.length; i += 500) {
+    const chunk = links.slice(i, i + 500);
+    const knownLinks = new Set((await db.getKnownLinks(chunk)).map(r => r.url));
+    const pageLinks = chunk.filter(link => !knownLinks.has(link));
+    if (pageLinks.length) await db.saveLinks(pageLinks);
+    newLinks += pageLinks.length;
+  }
+  return newLinks;
+}
+/**
+ * Walks the pages of an FA search, saving every submission found for
+ * download. The walk stops at the last page, or once FA starts repeating
+ * results.
+ * @param {Object} options
+ * @param {String} options.query Search the same as on FA, like "dragon -sketch"
+ * @param {Number} options.maxPages Stop after this many pages, or 0 for all of them
+ * @returns {Promise<Number>} How many new submission links were saved
+ */
+export async function getSearchLinks({ query, maxPages = 0 }) {
+  const searchUrl = `${FA_URL_BASE}/search/?q=${encodeURIComponent(query.trim())}&page=`;
+  const foundLinks = new Set();
+  let currPageCount = 1;
+  let newLinks = 0;
+  let retryCount = 0;
+  console.log(`[Data] Searching FA for: ${query}`);
+  logProgress.busy(progressID);
+  while (!stop.now && (!maxPages || currPageCount <= maxPages)) {
+    const $ = await getHTML(searchUrl + currPageCount).catch(() => false);
+    if (!$) {
+      retryCount++;
+      if (retryCount < maxRetries) {
+        console.log(`[Warn] FA might be down, retrying in ${30 * retryCount} seconds`);
+        await waitFor(30 * retryCount * 1000);
+        continue;
+      }
+      stop.now = true;
+      console.log(`[Warn] FA might be down, please try again later`);
+      break;
+    }
+    retryCount = 0;
+    const scrapedLinks = Array.from($('figcaption a[href^="/view"]'))
+      .map((a) => FA_URL_BASE + a.attribs.href)
+      .filter(link => !foundLinks.has(link));
+    if (!scrapedLinks.length) break;
+    scrapedLinks.forEach(link => foundLinks.add(link));
+    newLinks += await saveNewLinks(scrapedLinks);
+    currPageCount++;
+    await waitFor(random.int(1000, 2500));
+  }
+  console.log(`[Data] ${foundLinks.size} submissions found, ${newLinks} new submissions to download, ${foundLinks.size - newLinks} already saved`);
+  logProgress.reset(progressID);
+  return newLinks;
 }
 /**
  * Gathers and saves the comments from given HTML or url.
@@ -198,33 +287,80 @@ export async function scrapeComments($, submission_id, url) {
     }
     break;
   } while (!$);
-  const comments = Array.from($('#comments-submission .comment_container'))
+  const comments = parseComments($, '#comments-submission')
+    .map(c => ({ ...c, submission_id }));
+  if(!comments.length) return;
+  return db.saveComments(comments);
+}
+/**
+ * Reads all comments within the given comment section.
+ * @param {CheerioAPI} $ 
+ * @param {String} selector Comment section
+ * @returns {Array<Object>}
+ */
+function parseComments($, selector) {
+  return Array.from($(`${selector} .comment_container`))
     .map((val) => {
       const $div = $(val);
       const isDeleted = $div.find('comment-container').hasClass('deleted-comment-container');
       let date = '';
       if (!isDeleted) {
-        date = $div.find('comment-date > span').attr('title').trim();
-        if (/ago/i.test(date)) date = $div.find('comment-date > span').text().trim();
+        date = $div.find('comment-date > span, .popup_date').first().attr('title')?.trim() || '';
+        if (/ago/i.test(date)) date = $div.find('comment-date > span, .popup_date').first().text().trim();
+        date = toISODate(date);
       }
       const username = isDeleted ? '' : $div.find('comment-username').text().trim();
       return {
         id: $div.find('.comment_anchor').attr('id'),
-        submission_id,
         width: $div.attr('style'),
         username,
         account_name: username.replace(/_/gi, ''),
-        desc: isDeleted ? '' : $div.find('comment-user-text .user-submitted-links').html().trim(),
+        desc: isDeleted ? '' : ($div.find('comment-user-text .user-submitted-links').html() || '').trim(),
         subtitle: isDeleted ? '' : $div.find('comment-title').text().trim(),
         date,
       }
     });
-  if(!comments.length) return;
-  return db.saveComments(comments);
 }
+/**
+ * Reads the submission's tags exactly as FA shows them.
+ * @param {CheerioAPI} $
+ * @returns {Array<String>}
+ */
+function getTags($) {
+  const tags = Array.from($('.tags-row .tags a, .tags-row a[href*="@keywords"]'))
+    .map(a => $(a).text().trim())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+// Bump whenever getTags reads tags differently, saved with each submission
+const tagsVersion = 2;
 const metadataID = 'scrape-metadata';
+// Fields compared against the saved version, to find edits made on FA
+const versionFields = ['title', 'desc', 'tags', 'content_url'];
+/**
+ * Finds what changed on FA since a submission was last saved.
+ * @param {Object} previous Saved version
+ * @param {Object} data Version just scraped
+ * @returns {Array<String>} Names of the changed fields
+ */
+function getChangedFields(previous, data) {
+  // Not scraped before, so there's nothing to compare
+  if (!previous?.id || previous.title === null) return [];
+  const normalize = {
+    desc: (desc) => (desc || '').replace(/\s+/g, ' ').trim(),
+    tags: (tags) => (tags || '').split(',').filter(Boolean).sort().join(','),
+  };
+  return versionFields.filter(field => {
+    // Tags read by an older parser differ without anything changing on FA
+    if (field === 'tags' && !(previous.tags_version >= tagsVersion)) return false;
+    const clean = normalize[field] || ((value) => value || '');
+    return clean(previous[field]) !== clean(data[field]);
+  });
+}
 /**
  * Gathers all of the relevant metadata from all uncrawled submission pages.
+ * Submissions removed from FA are marked as deleted instead, and ones that
+ * were edited have their previous version saved to their history.
  * @returns 
  */
 export async function scrapeSubmissionInfo({ data = null, downloadComments }) {
@@ -235,12 +371,13 @@ export async function scrapeSubmissionInfo({ data = null, downloadComments }) {
   let retryCount = 0;
   while (index < links.length && !stop.now) {
     logProgress({transferred: index+1, total: links.length}, progressID);
+    let isDeleted = false;
     let $ = await getHTML(links[index].url)
     .then(_$ => {
       if (!_$ || !_$('.submission-title').length) {
         if(_$('.section-body').text().includes('The submission you are trying to find is not in our database.')) {
-          console.log(`[Error] Confirmed deleted, removing: ${links[index].url}`);
-          db.deleteSubmission(links[index].url);
+          console.log(`[Data] Deleted on FA, keeping saved copy: ${links[index].url}`);
+          isDeleted = true;
         } else {
           console.log(`[Error] Not found/deleted: ${links[index].url}`);
         }
@@ -252,6 +389,14 @@ export async function scrapeSubmissionInfo({ data = null, downloadComments }) {
     .catch(() => {
       return false;
     });
+    // No point asking again
+    if (isDeleted) {
+      await db.setSubmissionDeleted(links[index].url);
+      retryCount = 0;
+      index++;
+      await waitFor(random.int(1000, 2500));
+      continue;
+    }
     if (!$) {
       retryCount++;
       if (retryCount < maxRetries / 2) {
@@ -276,10 +421,11 @@ export async function scrapeSubmissionInfo({ data = null, downloadComments }) {
       username,
       account_name: username.replace(/_/gi, ''),
       desc: $('.submission-description').html().trim(),
-      tags: $('.tags-row').text().match(/([A-Z])\w+/gmi)?.join(','),
+      tags: getTags($).join(','),
+      tags_version: tagsVersion,
       content_name: $('.download > a').attr('href').split('/').pop(),
       content_url: $('.download > a').attr('href'),
-      date_uploaded: date,
+      date_uploaded: toISODate(date),
       thumbnail_url: $('.page-content-type-text, .page-content-type-music').find('#submissionImg').attr('src') || '',
       rating: $('.rating .rating-box').first().text().trim(),
       category: $('.info.text > div > div').text().trim(),
@@ -290,8 +436,23 @@ export async function scrapeSubmissionInfo({ data = null, downloadComments }) {
     if (!/^https/i.test(data.content_url)) data.content_url = 'https:' + data.content_url;
     if (data.thumbnail_url && !/^https/i.test(data.thumbnail_url))
       data.thumbnail_url = 'https:' + data.thumbnail_url;
+    const previous = await db.getSubmissionVersion(links[index].url);
+    const changed = getChangedFields(previous, data);
+    if (changed.length) {
+      console.log(`[Data] Edited on FA (${changed.join(', ')}), saving previous version: ${links[index].url}`);
+      await db.saveSubmissionHistory(data.id, previous, changed);
+      data.edited_at = new Date().toISOString();
+      // New file, the old one is kept and listed in the history
+      if (changed.includes('content_url')) data.is_content_saved = 0;
+    }
+    if (previous?.deleted_at) await db.setSubmissionDeleted(links[index].url, false);
     // Save data to db
     await db.saveMetaData(links[index].url, data);
+    await db.saveSubmissionTags(data.id, getTags($));
+    await db.saveComicLinks(data.id, [
+      ...parseComicLinks(data.desc, data.id),
+      ...parseGalleryLinks($, data.id),
+    ]);
     // Save comments
     if (downloadComments) await scrapeComments($, data.id);
     index++;
@@ -300,3 +461,469 @@ export async function scrapeSubmissionInfo({ data = null, downloadComments }) {
   if (!stop.now) console.log('[Data] All submission metadata saved!');
   logProgress.reset(progressID);
 }
+
+/**
+ * Walks the user's journal list in order to gather all journal links for future download.
+ * @param {Object} options
+ * @param {String} options.username
+ */
+export async function getJournalLinks({ username }) {
+  const url = `${FA_URL_BASE}/journals/${username}/`;
+  let currPageCount = 1;
+  let retryCount = 0;
+  const foundLinks = new Set();
+  console.log(`[Data] Searching user journals for links...`);
+  logProgress.busy(progressID);
+  while (!stop.now) {
+    const $ = await getHTML(url + currPageCount).catch(() => false);
+    if (!$) {
+      retryCount++;
+      if (retryCount < maxRetries) {
+        console.log(`[Warn] FA might be down, retrying in ${30 * retryCount} seconds`);
+        await waitFor(30 * retryCount * 1000);
+        continue;
+      } else {
+        stop.now = true;
+        return console.log(`[Warn] FA might be down, please try again later`);
+      }
+    }
+    retryCount = 0;
+    const links = [...new Set(Array.from($('section[id^="jid:"] a[href^="/journal/"]'))
+      .map(a => FA_URL_BASE + a.attribs.href.split('#')[0]))]
+      .filter(link => !foundLinks.has(link));
+    // Stop when out of journals, or FA starts repeating the last page
+    if (!links.length) break;
+    links.forEach(link => foundLinks.add(link));
+    await db.saveJournalLinks(links, username);
+    currPageCount++;
+    await waitFor(random.int(1000, 2500));
+  }
+  if (!stop.now) console.log(`[Data] ${foundLinks.size} journals found`);
+  logProgress.reset(progressID);
+}
+/**
+ * Gathers the title, date, body and comments of all uncrawled journal pages.
+ * @returns 
+ */
+export async function scrapeJournalInfo({ downloadComments }) {
+  const links = await db.getUnscrapedJournals();
+  if (!links.length || stop.now) return logProgress.reset(progressID);
+  console.log(`[Data] Saving data for ${links.length} journals...`);
+  let index = 0;
+  let retryCount = 0;
+  while (index < links.length && !stop.now) {
+    logProgress({transferred: index+1, total: links.length}, progressID);
+    const { id, url } = links[index];
+    const $ = await getHTML(url).catch(() => false);
+    if (!$) {
+      retryCount++;
+      if (retryCount < maxRetries / 2) {
+        console.log(`[Warn] FA might be down, retrying in ${30 * retryCount} seconds`);
+        await waitFor(30 * retryCount * 1000);
+      } else {
+        retryCount = 0;
+        index++;
+      }
+      continue;
+    }
+    if (!$('.journal-content').length) {
+      console.log(`[Error] Not found/deleted: ${url}`);
+      retryCount = 0;
+      index++;
+      continue;
+    }
+    retryCount = 0;
+    let date = $('.journal-title-box .popup_date, .section-header .popup_date').first().attr('title')?.trim() || '';
+    if (/ago$/i.test(date)) date = $('.journal-title-box .popup_date, .section-header .popup_date').first().text().trim();
+    await db.saveJournalData(id, {
+      title: $('.journal-title').first().text().trim(),
+      date: toISODate(date),
+      desc: ($('.journal-content').html() || '').trim(),
+    });
+    if (downloadComments) {
+      const comments = parseComments($, '#comments-journal')
+        .map(c => ({ ...c, journal_id: id }));
+      if (comments.length) await db.saveJournalComments(comments);
+    }
+    index++;
+    await waitFor(random.int(1000, 2500));
+  }
+  if (!stop.now) console.log('[Data] All journal data saved!');
+  logProgress.reset(progressID);
+}
+
+/**
+ * Saves a dated snapshot of the user's profile page, along with their
+ * avatar and banner images.
+ * @param {CheerioAPI} $ The user's profile page
+ * @param {String} name
+ */
+export async function scrapeUserProfile($, name) {
+  if (stop.now) return;
+  const username = name.toLowerCase();
+  const account_name = username.replace(/_/gi, '');
+  const details = $('userpage-nav-user-details .font-small').first().text().replace(/\s+/g, ' ').trim();
+  const stats = {};
+  const statsText = $('.userpage-section-right .section-header h2')
+    .filter((i, h2) => /stats/i.test($(h2).text()))
+    .closest('section').find('.section-body').text();
+  for (const [, key, value] of statsText.matchAll(/([A-Za-z][A-Za-z ]*?):\s*([\d,]+)/g)) {
+    stats[key.trim()] = +value.replace(/,/g, '');
+  }
+  const contacts = Array.from($('#userpage-contact .user-contact-user-info'))
+    .map((div) => {
+      const $div = $(div);
+      const site = $div.find('.highlight').first().text().trim();
+      const $link = $div.find('a').first();
+      const value = ($link.text() || $div.text().replace(site, '')).trim();
+      return { site, value, url: $link.attr('href') || '' };
+    })
+    .filter(c => c.site || c.value);
+  const $featured = $('.userpage-featured-title a[href^="/view/"], #featured-submission a[href^="/view/"]').first();
+  const avatar_url = $('userpage-nav-avatar img').attr('src') || '';
+  const banner_url = $('.userpage-banner img').attr('src') || '';
+  const profile = {
+    username,
+    account_name,
+    display_name: $('userpage-nav-user-details h1 username, userpage-nav-user-details .js-displayName').first().text().trim().replace(/^~/, ''),
+    user_title: details.split('|')[0].replace(/member since:.*/i, '').trim(),
+    date_joined: details.match(/member since:\s*(.+)$/i)?.[1].trim() || '',
+    avatar_url,
+    avatar_name: await downloadProfileImage({ url: avatar_url, account_name }),
+    banner_url,
+    banner_name: await downloadProfileImage({ url: banner_url, account_name }),
+    profile: ($('.userpage-profile').html() || '').trim(),
+    stats,
+    contacts,
+    featured_url: $featured.attr('href') ? FA_URL_BASE + $featured.attr('href') : '',
+    featured_title: $featured.text().trim(),
+    shouts: parseComments($, '#page-userpage'),
+  };
+  await db.saveUserProfile(profile);
+  console.log(`[Data] Profile saved for: ${name}`);
+}
+/**
+ * Walks every page of the users an account is watching.
+ * @param {String} name Account to get the watchlist of
+ * @returns {Promise<Array<String>|false>} Watched usernames, in the order
+ * FA lists them, or false if the watchlist couldn't be loaded
+ */
+export async function getWatchlist(name) {
+  const account = `${name}`.trim().toLowerCase();
+  const watched = new Set();
+  let pageUrl = `${FA_URL_BASE}/watchlist/by/${encodeURIComponent(account)}/`;
+  console.log(`[Data] Loading users watched by ${account}...`);
+  logProgress.busy(progressID);
+  try {
+    while (pageUrl && !stop.now) {
+      const $ = await getHTML(pageUrl).catch(() => false);
+      if (!$ || /system.error/i.test($('title').text())) {
+        console.log(`[Warn] Could not load the watchlist of: ${account}`);
+        return watched.size ? [...watched] : false;
+      }
+      const names = Array.from($('.watch-list a[href^="/user/"], .watch-list-items a[href^="/user/"]'))
+        .map(a => a.attribs.href.split('/')[2]?.toLowerCase())
+        .filter(n => n && n !== account && !watched.has(n));
+      // Some pages link back to the first one, so stop once nothing is new
+      if (!names.length) break;
+      names.forEach(n => watched.add(n));
+      // Later pages are behind a "Next" button or link
+      const $next = $('form[action*="/watchlist/by/"], a[href*="/watchlist/by/"]')
+        .filter((i, el) => /next/i.test($(el).text())).first();
+      const next = $next.attr('action') || $next.attr('href');
+      pageUrl = next ? new URL(next, FA_URL_BASE).href : '';
+      if (pageUrl) await waitFor(random.int(1000, 2500));
+    }
+  } finally {
+    logProgress.reset(progressID);
+  }
+  console.log(`[Data] ${account} is watching ${watched.size} user(s)`);
+  return [...watched];
+}
+/**
+ * Adds the given submission to the logged in user's favorites on FA, and
+ * saves it to their local favorites as well.
+ * @param {String} id Submission ID
+ * @returns {Promise<String>} 'added', 'already' if it was already a favorite,
+ * or empty if it couldn't be favorited
+ */
+export async function favoriteSubmission(id) {
+  const url = `${FA_URL_BASE}/view/${id}/`;
+  const $ = await getHTML(url).catch(() => false);
+  if (!$) return '';
+  let status = 'already';
+  if (!$('.favorite-nav a[href^="/unfav/"]').length) {
+    const favLink = $('.favorite-nav a[href^="/fav/"]').attr('href');
+    if (!favLink) return '';
+    const done = await getHTML(FA_URL_BASE + favLink).catch(() => false);
+    if (!done) return '';
+    status = 'added';
+  }
+  await db.saveFavorites(loggedInUsername, [url]);
+  console.log(`[Data] Favorited submission: ${id}`);
+  return status;
+}
+
+let inProgress = false;
+// Users were queued while something else was running, start them after
+let hasWaitingJobs = false;
+// Submission links were saved while downloading, so check for them again
+let hasWaitingLinks = false;
+export function isInProgress() {
+  return inProgress;
+}
+/**
+ * Starts working through the download queue in the background, such as after
+ * something else finished while users were queued. Each job keeps the
+ * options it was queued with.
+ * @returns {Promise} Resolves once the queue is done, failures are logged
+ */
+export function resumeWaitingJobs() {
+  return startDataScraping({ name: '' })
+    .catch(e => console.log(`[Warn] Queued downloads failed: ${e?.message || e}`));
+}
+/**
+ * Walks everything asked for from a single user.
+ * @param {String} name
+ * @param {Object} options The options saved with the job
+ * @returns {Promise<Number|false>} How many new submissions were found, or
+ * false if the user doesn't exist
+ */
+async function scrapeUser(name, { scrapeGallery = true, scrapeFavorites = false, scrapeJournals = false, fullResync = false } = {}) {
+  // Check if valid username
+  const $ = await getHTML(FA_USER_BASE + name).catch(() => false);
+  if (!$ || /system.error/i.test($('title').text())) {
+    console.log(`[Warn] Invalid username: ${name}`);
+    return false;
+  }
+  await scrapeUserProfile($, name);
+  let newSubmissions = 0;
+  // Scrape data from gallery pages
+  if (scrapeGallery)
+    newSubmissions += await getSubmissionLinks({ url: `${FA_URL_BASE}/gallery/${name}/`, username: name, fullResync });
+  // Folders can only change when something new was posted, short of
+  // moving older submissions around, which a full resync picks up
+  if (scrapeGallery && !stop.now)
+    await getGalleryFolders({ username: name, fullResync, skipWalked: newSubmissions === 0 });
+  if (scrapeGallery && !stop.now)
+    newSubmissions += await getSubmissionLinks({ url: `${FA_URL_BASE}/scraps/${name}/`, isScraps: true, username: name, fullResync });
+  if (scrapeFavorites && !stop.now)
+    newSubmissions += await getSubmissionLinks({ url: `${FA_URL_BASE}/favorites/${name}/`, isFavorites: true, username: name, fullResync });
+  if (scrapeJournals && !stop.now)
+    await getJournalLinks({ username: name });
+  return newSubmissions;
+}
+/**
+ * Runs each queued job in turn, until the queue is empty or stopped. Jobs
+ * stopped partway are left queued, so they pick up again next time. Jobs
+ * queued by the scheduler also record how the sync went. Each job's
+ * submissions and journals are saved before moving on, so they follow that
+ * job's comment setting.
+ */
+async function runJobs() {
+  let job = await db.getNextJob();
+  while (job && !stop.now) {
+    await db.setJobState(job.id, 'running');
+    sendStartupInfo();
+    let state = 'done', error = null, newSubmissions = null;
+    try {
+      newSubmissions = await scrapeUser(job.username, job.options);
+      if (newSubmissions === false) [state, error, newSubmissions] = ['failed', 'Invalid username', null];
+      else {
+        const { scrapeComments: downloadComments = true } = job.options;
+        await scrapeSubmissionInfo({ downloadComments });
+        await scrapeJournalInfo({ downloadComments });
+      }
+    } catch (e) {
+      [state, error] = ['failed', e?.message || `${e}`];
+    }
+    // Stopped partway, whatever happened to it
+    if (stop.now) [state, error, newSubmissions] = ['queued', null, null];
+    await db.setJobState(job.id, state, error, newSubmissions);
+    if (job.options.scheduled && state !== 'queued') {
+      await db.saveScheduleRun(job.username, newSubmissions || 0, error);
+      console.log(`[Schedule] Synced ${job.username}: ${error || `${newSubmissions} new submission(s)`}`);
+    }
+    sendStartupInfo();
+    job = await db.getNextJob();
+  }
+}
+const jobActions = {
+  up: (job) => db.moveJob(job.id, -1).then(() => true),
+  down: (job) => db.moveJob(job.id, 1).then(() => true),
+  pause: (job) => job.state === 'queued' && db.setJobState(job.id, 'paused'),
+  resume: (job) => job.state === 'paused' && db.setJobState(job.id, 'queued'),
+  cancel: (job) => ['queued', 'paused'].includes(job.state) && db.setJobState(job.id, 'cancelled'),
+  retry: (job) => ['done', 'failed', 'cancelled'].includes(job.state) && db.requeueJob(job.id),
+};
+/**
+ * Changes a job in the download queue. The running job can only be stopped.
+ * @param {Number} id
+ * @param {String} action One of: up, down, pause, resume, cancel, retry, or
+ * clear to remove all finished jobs
+ * @returns {Promise<Boolean>} If the job could be changed
+ */
+export async function updateJob(id, action) {
+  if (action === 'clear') await db.clearFinishedJobs();
+  else {
+    const job = (await db.getJobs()).find(j => j.id === +id);
+    if (!job || !jobActions[action] || !await jobActions[action](job)) return false;
+  }
+  sendStartupInfo();
+  return true;
+}
+/**
+ * Adds users to the end of the download queue, without starting it.
+ * @param {Array<String>} names
+ * @param {Object} options What to download from each user, see startDataScraping
+ * @returns {Promise<Number>} How many users were added
+ */
+export async function queueUsers(names, options) {
+  names = names.map(n => `${n}`.trim().toLowerCase()).filter(n => !!n);
+  if (!names.length) return 0;
+  const added = await db.addJobs(names, options);
+  console.log(`[Data] Added ${added} user(s) to the download queue`);
+  hasWaitingJobs ||= inProgress && added > 0;
+  sendStartupInfo();
+  return added;
+}
+/**
+ * Adds the given users to the download queue, then works through the queue
+ * and saves the metadata and content for every submission found. Calling
+ * this while already downloading just adds the users to the queue.
+ * @param {Object} options
+ * @param {String} options.name Comma separated list of usernames
+ * @param {Boolean} options.scrapeGallery
+ * @param {Boolean} options.scrapeComments Saved with each user, and used for anything left from an earlier download
+ * @param {Boolean} options.scrapeFavorites
+ * @param {Boolean} options.scrapeJournals
+ * @param {Boolean} options.fullResync Walk every gallery page, instead of stopping at already saved submissions
+ * @param {Number} options.concurrency How many files to download at once, saved for future runs
+ * @returns {Promise} Resolves once all downloads are complete
+ */
+export async function startDataScraping({ name: uName = loggedInUsername, scrapeGallery = true, scrapeComments = true, scrapeFavorites = false, scrapeJournals = false, fullResync = false, concurrency } = {}) {
+  const allNames = (uName || '').split(',');
+  const added = await queueUsers(allNames, { scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals, fullResync });
+  if (concurrency) await saveDownloadConcurrency(concurrency);
+  if (inProgress) {
+    if (!added) console.log('[Data] Program already running!');
+    return;
+  }
+  inProgress = true;
+  hasWaitingJobs = false;
+  await db.resetRunningJobs();
+  if (!await db.getNextJob()) console.log('[Data] Continuing previous download...');
+  // Scrape data from collected submission pages, and check again for any
+  // users queued in the meantime
+  const downloadAll = () => Promise.all([
+    scrapeSubmissionInfo({ downloadComments: scrapeComments })
+      .then(() => scrapeJournalInfo({ downloadComments: scrapeComments })),
+    initDownloads(),
+  ]);
+  try {
+    do {
+      hasWaitingLinks = false;
+      await runJobs();
+      if (stop.now) console.log('[Data] Process halted!');
+      await downloadAll();
+    } while (!stop.now && (hasWaitingLinks || await db.getNextJob()));
+    if(!stop.now) console.log('Requested downloads complete! ♥');
+  } finally {
+    inProgress = false;
+    setActive(false);
+  }
+}
+/**
+ * Saves the given submissions, and the results of an FA search, then saves
+ * the metadata and content for each of them. Links given while already
+ * downloading are picked up by the running download instead, but searches
+ * have to wait until it's done.
+ * @param {Object} options
+ * @param {Array<String>} options.urls Submission URLs, see parseSubmissionUrls
+ * @param {String} options.search FA search query
+ * @param {Number} options.maxPages Search result pages to walk, or 0 for all of them
+ * @param {Boolean} options.scrapeComments
+ * @returns {Promise} Resolves once all downloads are complete
+ */
+export async function downloadSubmissions({ urls = [], search = '', maxPages = 0, scrapeComments = true } = {}) {
+  search = `${search}`.trim();
+  if (inProgress && search)
+    return console.log(`[Data] Please stop data scraping before searching!`);
+  const newLinks = await saveNewLinks(urls);
+  if (urls.length) console.log(`[Data] ${urls.length} submission links given, ${newLinks} new submissions to download`);
+  if (inProgress) {
+    hasWaitingLinks ||= newLinks > 0;
+    return;
+  }
+  inProgress = true;
+  setActive(true);
+  try {
+    if (search) await getSearchLinks({ query: search, maxPages });
+    await Promise.all([
+      scrapeSubmissionInfo({ downloadComments: scrapeComments }),
+      initDownloads(),
+    ]);
+    if (!stop.now) console.log('Requested downloads complete! ♥');
+  } finally {
+    inProgress = false;
+    setActive(false);
+    if (hasWaitingJobs && !stop.now) resumeWaitingJobs();
+    hasWaitingJobs = false;
+  }
+}
+/**
+ * Visits already saved submissions on FA again, to find any that were since
+ * deleted or edited. Files replaced on FA are downloaded next to the old ones.
+ * @param {Array<String>} [names] Only check these users' submissions
+ * @returns 
+ */
+export async function recheckSubmissions(names = []) {
+  if (inProgress)
+    return console.log(`[Data] Please stop data scraping before restarting!`);
+  inProgress = true;
+  setActive(true);
+  try {
+    const links = names.length
+      ? (await Promise.all(names.map(name => db.getSavedSubmissionLinks(name.trim().toLowerCase())))).flat()
+      : await db.getSavedSubmissionLinks();
+    console.log(`[Data] Checking ${links.length} submissions for changes on FA...`);
+    await scrapeSubmissionInfo({ data: links, downloadComments: true });
+    if (!stop.now) await initDownloads();
+  } finally {
+    inProgress = false;
+    setActive(false);
+    if (hasWaitingJobs && !stop.now) resumeWaitingJobs();
+    hasWaitingJobs = false;
+  }
+}
+/**
+ * Refills missing metadata (ratings, dates, etc.) for all incomplete submissions,
+ * then checks all downloaded files and downloads any that are missing or corrupt.
+ * @returns 
+ */
+export async function repairDatabase() {
+  if (inProgress)
+    return console.log(`[Data] Please stop data scraping before restarting!`);
+  console.log('[Data] Checking database...');
+  inProgress = true;
+  setActive(true);
+  try {
+    await db.deleteBlankSubmissionInfo();
+    const inNeedOfRepair = await db.needsRepair();
+    if (inNeedOfRepair.length) {
+      console.log('Database incomplete! Working on that now...');
+      await scrapeSubmissionInfo({ data: inNeedOfRepair, downloadComments: true });
+      if (!stop.now) console.log(`Database repaired!`);
+    } else {
+      console.log(`[Data] Database OK!`);
+    }
+    if (stop.now) return;
+    const { missing, corrupt } = await verifyContent();
+    if (missing.length || corrupt.length) await initDownloads();
+  } finally {
+    inProgress = false;
+    setActive(false);
+    if (hasWaitingJobs && !stop.now) resumeWaitingJobs();
+    hasWaitingJobs = false;
+  }
+}
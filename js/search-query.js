@@ -0,0 +1,39 @@
+// Search prefixes and the full text search column they look in
+const searchFields = {
+  tag: 'tags',
+  artist: 'artist',
+  rating: 'rating',
+};
+const searchToken = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+
+function quote(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+/**
+ * Turns what was typed into the gallery search box into FTS5 queries.
+ * Supports `"exact phrases"`, `-excluded` words and the `tag:`, `artist:`
+ * and `rating:` prefixes, which can all be combined (`-tag:"red panda"`).
+ * Plain words also match anything they're the start of.
+ * @param {String} [searchTerm]
+ * @returns {{ match: String, exclude: String }} Queries for what results need
+ * to match, and what they can't match. Either can be empty.
+ */
+export function parseSearchTerm(searchTerm) {
+  const include = [];
+  const exclude = [];
+  for (const [token, negate, prefix, phrase, word] of `${searchTerm ?? ''}`.matchAll(searchToken)) {
+    const field = searchFields[prefix?.toLowerCase()];
+    // Unknown prefixes are just part of the word, like "re:zero"
+    let text = phrase ?? word;
+    if (prefix && !field) text = token.slice(negate.length);
+    if (!/[\p{L}\p{N}]/u.test(text)) continue;
+    let query = quote(text);
+    if (phrase === undefined && !field) query += '*';
+    if (field) query = `${field}: ${query}`;
+    (negate ? exclude : include).push(query);
+  }
+  return {
+    match: include.join(' AND '),
+    exclude: exclude.join(' OR '),
+  };
+}
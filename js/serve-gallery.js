@@ -0,0 +1,250 @@
+import http from 'node:http';
+import { createReadStream } from 'node:fs';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { networkInterfaces } from 'node:os';
+import { join, resolve, extname, relative, sep } from 'node:path';
+import { Buffer } from 'node:buffer';
+import fs from 'fs-extra';
+import * as db from './database-interface.js';
+import { __dirname } from './utils.js';
+import { findAvatarFiles } from './download-content.js';
+import { ARTIST_DIR } from './constants.js';
+
+const contentFolders = ['gallery', 'scraps', 'favorites'];
+const staticFolders = {
+  '/html/': join(__dirname, 'html'),
+  '/js/gallery/': join(__dirname, 'js', 'gallery'),
+};
+const maxCount = 200;
+const mimeTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.ico': 'image/x-icon',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.ttf': 'font/ttf',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.swf': 'application/x-shockwave-flash',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+let server = null;
+let passwordHash = null;
+let extraRoutes = [];
+
+function hash(text) {
+  return createHash('sha256').update(text).digest();
+}
+/**
+ * Checks the password sent with HTTP Basic auth. Any username is accepted.
+ * @param {http.IncomingMessage} req
+ * @returns {Boolean}
+ */
+function isAuthorized(req) {
+  if (!passwordHash) return true;
+  const [type, encoded = ''] = (req.headers.authorization || '').split(' ');
+  if (type !== 'Basic') return false;
+  const credentials = Buffer.from(encoded, 'base64').toString();
+  const password = credentials.slice(credentials.indexOf(':') + 1);
+  return timingSafeEqual(hash(password), passwordHash);
+}
+export function sendJSON(res, data, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(data ?? null));
+}
+export function sendError(res, status, error) {
+  sendJSON(res, { error }, status);
+}
+/**
+ * Finds a file inside the given folder, without ever leaving it.
+ * @param {String} root
+ * @param {String} path URL path below the root
+ * @returns {String|null} Full file path, or null if it would be outside the root
+ */
+function safeJoin(root, path) {
+  const location = resolve(root, `.${sep}${path}`);
+  return location.startsWith(resolve(root) + sep) ? location : null;
+}
+async function sendFile(req, res, location) {
+  const stats = location && await fs.stat(location).catch(() => null);
+  if (!stats?.isFile()) return sendError(res, 404, 'Not found');
+  res.writeHead(200, {
+    'Content-Type': mimeTypes[extname(location).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': stats.size,
+  });
+  if (req.method === 'HEAD') return res.end();
+  createReadStream(location).pipe(res);
+}
+/**
+ * The viewer asks for "<account>/<file>", but files are saved in a gallery,
+ * scraps or favorites folder below that, so each one is checked.
+ * @param {String} path
+ * @returns {Promise<String|null>}
+ */
+async function findContent(path) {
+  const location = safeJoin(ARTIST_DIR, path);
+  if (!location) return null;
+  if (await fs.pathExists(location)) return location;
+  const [account, ...rest] = path.split('/');
+  if (rest.length !== 1) return null;
+  for (const folder of contentFolders) {
+    const found = safeJoin(ARTIST_DIR, `${account}/${folder}/${rest[0]}`);
+    if (found && await fs.pathExists(found)) return found;
+  }
+  return null;
+}
+/**
+ * Reads a JSON request body.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>} Empty if there's no body or it isn't JSON
+ */
+export async function readBody(req) {
+  let text = '';
+  for await (const chunk of req) {
+    text += chunk;
+    // Nothing sent here should ever be this big
+    if (text.length > 1e6) break;
+  }
+  return parseJSON(text, {});
+}
+function parseJSON(text, fallback) {
+  try {
+    return text ? JSON.parse(text) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+function getCount(params, fallback = 28) {
+  return Math.min(Math.max(+params.get('count') || fallback, 1), maxCount);
+}
+/**
+ * Only read-only routes, nothing here can download or change the archive.
+ * Each handler gets the URL search params and any matches from its path.
+ */
+const apiRoutes = [
+  [/^\/api\/gallery$/, (params) => db.getGalleryPage(
+    +params.get('offset') || 0,
+    getCount(params),
+    parseJSON(params.get('query'), {}),
+    params.get('sortOrder') === 'ASC' ? 'ASC' : 'DESC',
+    params.get('sortBy') || 'date',
+    parseJSON(params.get('after'), null),
+  )],
+  [/^\/api\/submission\/(\d+)$/, (_params, [id]) => db.getSubmissionPage(id)],
+  [/^\/api\/comments\/(\d+)$/, (_params, [id]) => db.getComments(id)],
+  [/^\/api\/journals$/, (params) => db.getJournalPage(
+    +params.get('offset') || 0,
+    getCount(params, 25),
+    parseJSON(params.get('query'), {}),
+  )],
+  [/^\/api\/journal\/(\d+)$/, (_params, [id]) => db.getJournal(id)],
+  [/^\/api\/tags$/, (params) => db.getTagCounts(parseJSON(params.get('query'), {}))],
+  [/^\/api\/folders$/, (params) => db.getFolders(params.get('username') || '')],
+  [/^\/api\/avatars$/, async (params) => {
+    const names = (params.get('names') || '').split(',').filter(Boolean);
+    const paths = await findAvatarFiles([...new Set(names)]);
+    return Object.fromEntries(Object.entries(paths).map(([name, location]) => {
+      return [name, `/content/${relative(ARTIST_DIR, location).split(sep).map(encodeURIComponent).join('/')}`];
+    }));
+  }],
+  [/^\/api\/page-info$/, async () => ({
+    favUsernames: await db.getAllFavUsernames(),
+    usernames: await db.getAllUsernames(),
+    categories: await db.getAllCategories(),
+    readOnly: true,
+  })],
+];
+
+async function handleRequest(req, res) {
+  if (!isAuthorized(req)) {
+    res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="FA Gallery Viewer"' });
+    return res.end('Password required');
+  }
+  const url = new URL(req.url, 'http://localhost');
+  let path;
+  try {
+    path = decodeURIComponent(url.pathname);
+  } catch {
+    return sendError(res, 400, 'Bad path');
+  }
+  for (const { method, route, handler } of extraRoutes) {
+    const match = req.method === method && path.match(route);
+    if (match) return handler(req, res, match.slice(1), url.searchParams);
+  }
+  if (!['GET', 'HEAD'].includes(req.method)) return sendError(res, 405, 'Read-only');
+  if (path === '/') {
+    res.writeHead(302, { Location: '/html/gallery.html' });
+    return res.end();
+  }
+  for (const [route, handler] of apiRoutes) {
+    const match = path.match(route);
+    if (!match) continue;
+    const data = await handler(url.searchParams, match.slice(1));
+    return data ? sendJSON(res, data) : sendError(res, 404, 'Not found');
+  }
+  if (path.startsWith('/content/')) return sendFile(req, res, await findContent(path.slice('/content/'.length)));
+  // Only the viewer itself, not the rest of the program
+  const staticPath = Object.keys(staticFolders).find(prefix => path.startsWith(prefix));
+  if (staticPath) return sendFile(req, res, safeJoin(staticFolders[staticPath], path.slice(staticPath.length)));
+  sendError(res, 404, 'Not found');
+}
+function getLanAddresses() {
+  return Object.values(networkInterfaces()).flat()
+    .filter(i => i?.family === 'IPv4' && !i.internal)
+    .map(i => i.address);
+}
+/**
+ * Serves the gallery viewer over HTTP, so other devices on the network can
+ * browse the archive. The viewer and its API are read-only.
+ * @param {Object} options
+ * @param {Number} options.port
+ * @param {String} [options.password] Asked for by the browser before anything is shown
+ * @param {Array<Object>} [options.routes] More routes to serve, as { method, route, handler }.
+ * Handlers get the request, response, path matches and search params.
+ * @returns {Promise<http.Server>}
+ */
+export function startGalleryServer({ port = 8080, password = '', routes = [] } = {}) {
+  if (server) return Promise.resolve(server);
+  passwordHash = password ? hash(password) : null;
+  extraRoutes = routes;
+  server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(e => {
+      console.error(`[Server] ${e.message}`);
+      if (!res.headersSent) sendError(res, 500, 'Server error');
+      else res.end();
+    });
+  });
+  return new Promise((resolvePromise, reject) => {
+    server.once('error', (e) => {
+      server = null;
+      reject(e);
+    });
+    server.listen(port, () => {
+      const urls = ['localhost', ...getLanAddresses()].map(host => `http://${host}:${port}/`);
+      console.log(`[Server] Gallery viewer running at: ${urls.join(', ')}`);
+      if (!password) console.log('[Warn] No password set, anyone on your network can view the gallery');
+      resolvePromise(server);
+    });
+  });
+}
+export function stopGalleryServer() {
+  if (!server) return Promise.resolve();
+  return new Promise(resolvePromise => {
+    server.close(() => resolvePromise());
+    server.closeAllConnections?.();
+    server = null;
+    console.log('[Server] Gallery viewer stopped');
+  });
+}
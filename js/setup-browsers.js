@@ -60,13 +60,9 @@ async function getBrowserPath() {
   return { chromePath, product };
 }
 
-/**
- * Sets up the browser for use with Puppeteer
- * @returns 
- */
-export async function setupBrowser() {
-  const { chromePath, product } = await getBrowserPath();
-  const opts = {
+function getLaunchOptions(chromePath, product) {
+  fs.ensureDirSync(BROWSER_DIR + product);
+  return {
     headless: false,
     executablePath: chromePath,
     product,
@@ -75,8 +71,14 @@ export async function setupBrowser() {
     defaultViewport: null,
     ignoreDefaultArgs: IGNORE_DEFAULT_PARAMS,
   };
-  fs.ensureDirSync(BROWSER_DIR + product);
-  const browser = await puppeteer.launch(opts);
+}
+/**
+ * Sets up the browser for use with Puppeteer
+ * @returns 
+ */
+export async function setupBrowser() {
+  const { chromePath, product } = await getBrowserPath();
+  const browser = await puppeteer.launch(getLaunchOptions(chromePath, product));
   let page = await browser.pages().then(p => p[0]);
   page.setDefaultNavigationTimeout(0);
 
@@ -90,3 +92,12 @@ export async function setupBrowser() {
   // Display startup page
   return { browser, page };
 }
+/**
+ * Launches the browser without a window, using the same profile as the
+ * startup window. Only used to read the saved login.
+ * @returns 
+ */
+export async function setupHeadlessBrowser() {
+  const { chromePath, product } = await getBrowserPath();
+  return puppeteer.launch({ ...getLaunchOptions(chromePath, product), headless: 'new' });
+}
@@ -0,0 +1,65 @@
+export default {
+  name: 'job-queue',
+  template: `
+    <div class="job-queue">
+      <p v-if="!jobs.length">No downloads queued. Users added above wait here until they're done, even if the program is closed.</p>
+      <ul v-else>
+        <li v-for="job in jobs" :key="job.id" :class="'job-queue__' + job.state">
+          <span>{{job.username}}</span>
+          <span class="job-queue__state" :title="job.last_error || ''" :alt="job.last_error || ''">{{stateText(job)}}</span>
+          <span class="job-queue__options">{{optionsText(job)}}</span>
+          <template v-if="isWaiting(job)">
+            <button @click.prevent="send(job, 'up')" title="Move up" alt="Move up">▲</button>
+            <button @click.prevent="send(job, 'down')" title="Move down" alt="Move down">▼</button>
+            <button v-if="job.state === 'paused'" @click.prevent="send(job, 'resume')">Resume</button>
+            <button v-else @click.prevent="send(job, 'pause')">Pause</button>
+            <button @click.prevent="send(job, 'cancel')" title="Cancel" alt="Cancel">❌</button>
+          </template>
+          <button v-else-if="job.state !== 'running'" @click.prevent="send(job, 'retry')">Retry</button>
+        </li>
+      </ul>
+      <button v-if="hasFinished" @click.prevent="clear">Clear finished</button>
+    </div>
+  `,
+  props: ['jobs'],
+  emits: ['sendEvent'],
+  computed: {
+    hasFinished() {
+      return this.jobs.some(job => !this.isWaiting(job) && job.state !== 'running');
+    },
+  },
+  methods: {
+    isWaiting(job) {
+      return ['queued', 'paused'].includes(job.state);
+    },
+    stateText(job) {
+      const text = {
+        queued: 'Waiting',
+        running: 'Downloading...',
+        paused: 'Paused',
+        done: 'Done',
+        failed: 'Failed',
+        cancelled: 'Cancelled',
+      };
+      if (job.state === 'done' && job.new_submissions !== null) return `Done, ${job.new_submissions} new`;
+      return text[job.state] || job.state;
+    },
+    optionsText({ options }) {
+      const parts = [
+        options.scrapeGallery && 'Gallery',
+        options.scrapeFavorites && 'Favorites',
+        options.scrapeJournals && 'Journals',
+        options.scrapeComments && 'Comments',
+        options.fullResync && 'Full resync',
+        options.scheduled && 'Scheduled',
+      ];
+      return parts.filter(Boolean).join(', ');
+    },
+    send(job, action) {
+      this.$emit('sendEvent', { choice: 'job-action', id: job.id, action });
+    },
+    clear() {
+      this.$emit('sendEvent', { choice: 'job-action', action: 'clear' });
+    },
+  },
+}
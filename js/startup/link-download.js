@@ -0,0 +1,56 @@
+export default {
+  name: 'link-download',
+  template: `
+    <div class="link-download">
+      <p class="link-download__urls">
+        <label for="link-list">Submission links, one per line:</label>
+        <textarea id="link-list" v-model="text" rows="5" placeholder="https://www.furaffinity.net/view/12345678/"></textarea>
+        <label class="link-download__file" for="link-file" :title="fileAlt" :alt="fileAlt">Import from file</label>
+        <input type="file" id="link-file" accept=".txt,.csv,.html,.htm" @change="importFile" />
+        <button @click.prevent="sendLinks" :disabled="!text.trim()">Download links</button>
+      </p>
+      <p class="link-download__search">
+        <label for="link-search">Or search FA:</label>
+        <input type="text" id="link-search" v-model.trim="search" placeholder="dragon -sketch" @keydown.enter.prevent="sendSearch" />
+        <label for="link-pages">Pages:</label>
+        <select id="link-pages" v-model.number="maxPages">
+          <option v-for="pages in pageCounts" :value="pages">{{pages || 'All'}}</option>
+        </select>
+        <button @click.prevent="sendSearch" :disabled="!search" :title="searchAlt" :alt="searchAlt">Download results</button>
+      </p>
+      <p>Submissions are saved under each artist, the same as a gallery download. Only the "Comments" option above is used.</p>
+    </div>
+  `,
+  props: ['scrapeComments'],
+  emits: ['sendEvent'],
+  data() {
+    return {
+      text: '',
+      search: '',
+      maxPages: 5,
+      pageCounts: [1, 5, 10, 25, 0],
+      fileAlt: 'Any text file with submission links in it, like exported bookmarks',
+      searchAlt: 'Search results can only be downloaded while nothing else is downloading',
+    };
+  },
+  methods: {
+    importFile(e) {
+      const [file] = e.target.files;
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        this.text = [this.text.trim(), reader.result].filter(Boolean).join('\n');
+        e.target.value = '';
+      };
+      reader.readAsText(file);
+    },
+    sendLinks() {
+      this.$emit('sendEvent', { choice: 'download-submissions', text: this.text, scrapeComments: this.scrapeComments });
+      this.text = '';
+    },
+    sendSearch() {
+      if (!this.search) return;
+      this.$emit('sendEvent', { choice: 'download-submissions', search: this.search, maxPages: this.maxPages, scrapeComments: this.scrapeComments });
+    },
+  },
+}
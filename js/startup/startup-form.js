@@ -1,5 +1,11 @@
+import jobQueue from './job-queue.js';
+import syncSchedule from './sync-schedule.js';
+import watchlistImport from './watchlist-import.js';
+import linkDownload from './link-download.js';
+
 export default {
   name: 'status-form',
+  components: { jobQueue, syncSchedule, watchlistImport, linkDownload },
   template: `
   <div class="user-input-container">
     <form class="user-input" @submit.prevent="sendData">
@@ -13,9 +19,17 @@ export default {
         <label for="scrape-gallery">Gallery</label>
         <input type="checkbox" id="scrape-comments" v-model="scrapeComments" />
         <label for="scrape-comments">Comments</label>
+        <input type="checkbox" id="scrape-journals" v-model="scrapeJournals" />
+        <label for="scrape-journals">Journals</label>
         <input type="checkbox" id="scrape-favorites" v-model="scrapeFavorites" />
         <label for="scrape-favorites">Favorites</label>
         <div class="warning">(WARNING: This can be a HUGE amount!!)</div>
+        <input type="checkbox" id="full-resync" v-model="fullResync" />
+        <label for="full-resync" :alt="fullResyncAlt" :title="fullResyncAlt">Full resync</label>
+        <label for="concurrency">Downloads at once:</label>
+        <select id="concurrency" v-model.number="concurrency">
+          <option v-for="n in 8" :value="n">{{n}}</option>
+        </select>
       </div>
       <div class="user-choices">
         <button id="repair" @click.prevent="repair" :alt="repairAlt" :title="repairAlt">Repair Database</button>
@@ -34,6 +48,10 @@ export default {
       <div class="tab-container" @click.prevent="tabClick">
         <h3 class="tab active">Verified Accounts</h3>
         <h3 class="tab">All Accounts</h3>
+        <h3 class="tab">Queue{{queueCount ? ' (' + queueCount + ')' : ''}}</h3>
+        <h3 class="tab">Schedule</h3>
+        <h3 class="tab">Watchlist</h3>
+        <h3 class="tab">Links &amp; Search</h3>
       </div>
       <div class="tab-content-container active">
         <p>Login to an account to see it listed here!</p>
@@ -53,24 +71,43 @@ export default {
         <ul>
           <template v-for="name in computedDownloadAccounts">
             <li>
-              <span>{{name}}</span><button @click.prevent="deleteUserAccount(name)" alt="Delete account" title="Delete account">❌</button>
+              <span>{{name}}</span>
+              <button @click.prevent="exportFolders(name)" :alt="exportFoldersAlt" :title="exportFoldersAlt">Export: Folders</button>
+              <button @click.prevent="deleteUserAccount(name)" alt="Delete account" title="Delete account">❌</button>
             </li>
           </template>
         </ul>
       </div>
+      <div class="tab-content-container">
+        <job-queue :jobs="jobs || []" @send-event="sendEvent"></job-queue>
+      </div>
+      <div class="tab-content-container">
+        <sync-schedule :schedules="schedules || []" :name="name" :options="scrapeOptions" @send-event="sendEvent"></sync-schedule>
+      </div>
+      <div class="tab-content-container">
+        <watchlist-import :watchlist="watchlist" :default-name="loggedInName" :download-accounts="downloadAccounts" @send-event="sendEvent" @download="downloadUsers"></watchlist-import>
+      </div>
+      <div class="tab-content-container">
+        <link-download :scrape-comments="scrapeComments" @send-event="sendEvent"></link-download>
+      </div>
     </div>
   </div>
   `,
   emits: ['sendData', 'sendEvent'],
-  props: ['outsideUsername', 'isLoggedIn', 'outsideActive', 'accounts', 'downloadAccounts'],
+  props: ['outsideUsername', 'isLoggedIn', 'outsideActive', 'accounts', 'downloadAccounts', 'downloadConcurrency', 'jobs', 'schedules', 'watchlist', 'loggedInName'],
   data() {
     return {
       username: '',
       scrapeGallery: true,
       scrapeComments: true,
       scrapeFavorites: false,
+      scrapeJournals: false,
+      fullResync: false,
+      concurrency: 2,
+      fullResyncAlt: 'Check every gallery page, instead of stopping at already downloaded submissions',
       notActive: true,
-      repairAlt: 'Check and repair submission data (tags, ratings, etc.)',
+      exportFoldersAlt: 'Copy downloaded files into a folder for each of their FA gallery folders',
+      repairAlt: 'Check and repair submission data (tags, ratings, etc.) and redownload missing or corrupt files',
     };
   },
   watch: {
@@ -80,6 +117,9 @@ export default {
     outsideActive(val) {
       this.notActive = !val;
     },
+    downloadConcurrency(val) {
+      if (val) this.concurrency = val;
+    },
   },
   computed: {
     name() {
@@ -91,6 +131,13 @@ export default {
     downloadText() {
       return (this.username) ? 'Download User Galleries' : 'Continue Previous Download';
     },
+    scrapeOptions() {
+      const { scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals } = this;
+      return { scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals };
+    },
+    queueCount() {
+      return this.jobs?.filter(job => ['queued', 'running', 'paused'].includes(job.state)).length;
+    },
     computedDownloadAccounts() {
       if (!this.downloadAccounts?.length) return [];
       return [...new Set(this.downloadAccounts.map(d => d.username))];
@@ -112,13 +159,20 @@ export default {
     },
     sendData() {
       // this.notActive = false;
-      const { name, scrapeGallery, scrapeComments, scrapeFavorites } = this;
-      this.$emit('sendData',  { name, scrapeGallery, scrapeComments, scrapeFavorites });
+      const { name, scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals, fullResync, concurrency } = this;
+      this.$emit('sendData',  { name, scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals, fullResync, concurrency });
+    },
+    downloadUsers(names) {
+      const { scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals, fullResync, concurrency } = this;
+      this.$emit('sendData',  { name: names.join(','), scrapeGallery, scrapeComments, scrapeFavorites, scrapeJournals, fullResync, concurrency });
     },
     exportData(name, i) {
       const includeDate = this.$refs['export-date_' + i][0].checked;
       this.$emit('sendEvent', { choice: 'export-data', name, includeDate });
     },
+    exportFolders(name) {
+      this.$emit('sendEvent', { choice: 'export-folders', name });
+    },
     deleteAccount(name) {
       if (window.confirm(`Remove account: [${name}]? \nNOTE: You'll need to login again to access it.`)) {
         this.$emit('sendEvent', { choice: 'delete-account', name });
@@ -129,6 +183,9 @@ export default {
         this.$emit('sendEvent', { choice: 'delete-user-account', name });
       }
     },
+    sendEvent(data) {
+      this.$emit('sendEvent', data);
+    },
     importData() {
       this.$emit('sendEvent', { choice: 'import-old-data' });
     },
@@ -18,7 +18,7 @@ export default {
           <span>by SpottedSqueak</span>
         </h2>
       </div>
-      <startup-form :is-logged-in="!!this.username" :outsideUsername="queryName" :outsideActive="isActive" :accounts="accounts" :download-accounts="downloadAccounts" @send-data="sendFormData" @send-event="sendEvent"></startup-form>
+      <startup-form :is-logged-in="!!this.username" :outsideUsername="queryName" :outsideActive="isActive" :accounts="accounts" :download-accounts="downloadAccounts" :download-concurrency="downloadConcurrency" :jobs="jobs" :schedules="schedules" :watchlist="watchlist" :logged-in-name="username" @send-data="sendFormData" @send-event="sendEvent"></startup-form>
       <status-display :msg="msg" :log-progress="logProgress" @clear-msg="clearMsg"></status-display>
       <div class="version">
         <span v-if="!version">Loading version...</span>
@@ -43,6 +43,10 @@ export default {
       isActive: false,
       accounts: [],
       downloadAccounts: [],
+      downloadConcurrency: 2,
+      jobs: [],
+      schedules: [],
+      watchlist: null,
       version: '',
       newVersion: '',
       githubLink: 'https://github.com/SpottedSqueak/FA-Gallery-Downloader/releases',
@@ -62,6 +66,10 @@ export default {
       if (data.current) this.version = data.current;
       if (data.latest) this.newVersion = data.latest;
       if (data.downloadAccounts) this.downloadAccounts = data.downloadAccounts;
+      if (data.downloadConcurrency) this.downloadConcurrency = data.downloadConcurrency;
+      if (data.jobs) this.jobs = data.jobs;
+      if (data.schedules) this.schedules = data.schedules;
+      if (data.watchlist) this.watchlist = data.watchlist;
     };
     window.setActive = (val = true) => {
       this.isActive = val;
@@ -0,0 +1,66 @@
+export default {
+  name: 'sync-schedule',
+  template: `
+    <div class="sync-schedule">
+      <p class="sync-schedule__add">
+        <label for="sync-interval">Check the users above every</label>
+        <select id="sync-interval" v-model.number="intervalHours">
+          <option v-for="hours in intervals" :value="hours">{{intervalText(hours)}}</option>
+        </select>
+        <button @click.prevent="add" :disabled="!name" :title="addAlt" :alt="addAlt">Add to schedule</button>
+      </p>
+      <p v-if="!schedules.length">No users scheduled. Scheduled users are checked for new submissions while the program is open.</p>
+      <ul v-else>
+        <li v-for="schedule in schedules" :key="schedule.username" :class="{ 'sync-schedule__disabled': !schedule.enabled }">
+          <span>{{schedule.username}}</span>
+          <span class="sync-schedule__details">Every {{intervalText(schedule.interval_hours)}}</span>
+          <span class="sync-schedule__details" :class="{ 'sync-schedule__error': schedule.last_error }" :title="schedule.last_error || ''" :alt="schedule.last_error || ''">{{lastText(schedule)}}</span>
+          <span class="sync-schedule__details">{{nextText(schedule)}}</span>
+          <button @click.prevent="send(schedule, 'sync')" :disabled="!schedule.enabled">Sync now</button>
+          <button v-if="schedule.enabled" @click.prevent="send(schedule, 'disable')">Pause</button>
+          <button v-else @click.prevent="send(schedule, 'enable')">Resume</button>
+          <button @click.prevent="remove(schedule)" title="Remove from schedule" alt="Remove from schedule">❌</button>
+        </li>
+      </ul>
+    </div>
+  `,
+  props: ['schedules', 'name', 'options'],
+  emits: ['sendEvent'],
+  data() {
+    return {
+      intervalHours: 168,
+      intervals: [6, 12, 24, 72, 168, 336, 720],
+      addAlt: 'Only new submissions are downloaded, with the options checked above',
+    };
+  },
+  methods: {
+    intervalText(hours) {
+      if (hours % 24) return hours === 1 ? 'hour' : `${hours} hours`;
+      return hours === 24 ? 'day' : `${hours / 24} days`;
+    },
+    dateText(date) {
+      return new Date(date).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+    },
+    lastText(schedule) {
+      if (!schedule.last_sync) return 'Never synced';
+      if (schedule.last_error) return `Failed ${this.dateText(schedule.last_sync)}`;
+      return `${schedule.last_new_submissions} new, ${this.dateText(schedule.last_sync)}`;
+    },
+    nextText(schedule) {
+      if (!schedule.enabled) return 'Paused';
+      if (!schedule.next_sync || new Date(schedule.next_sync) <= new Date()) return 'Due now';
+      return `Next: ${this.dateText(schedule.next_sync)}`;
+    },
+    add() {
+      this.$emit('sendEvent', { choice: 'schedule-users', name: this.name, intervalHours: this.intervalHours, ...this.options });
+    },
+    send(schedule, action) {
+      this.$emit('sendEvent', { choice: 'schedule-action', name: schedule.username, action });
+    },
+    remove(schedule) {
+      if (window.confirm(`Stop syncing [${schedule.username}]? \nNOTE: Already downloaded submissions are kept.`)) {
+        this.send(schedule, 'remove');
+      }
+    },
+  },
+}
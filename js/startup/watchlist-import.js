@@ -0,0 +1,83 @@
+export default {
+  name: 'watchlist-import',
+  template: `
+    <div class="watchlist-import">
+      <p class="watchlist-import__load">
+        <label for="watchlist-name">Users watched by:</label>
+        <input type="text" id="watchlist-name" v-model.trim="account" :placeholder="defaultName || 'username'" @keydown.enter.prevent="load" />
+        <button @click.prevent="load" :disabled="loading || !accountName">{{loading ? 'Loading...' : 'Load watchlist'}}</button>
+      </p>
+      <template v-if="users.length">
+        <p class="watchlist-import__actions">
+          <input type="checkbox" id="watchlist-all" :checked="allSelected" @change="selectAll($event.target.checked)" />
+          <label for="watchlist-all">{{selected.length}} of {{users.length}} selected</label>
+          <button @click.prevent="selectNew" :alt="selectNewAlt" :title="selectNewAlt">Only new</button>
+          <button @click.prevent="download" :disabled="!selected.length">Download selected</button>
+        </p>
+        <ul>
+          <li v-for="(user, i) in users" :key="user">
+            <input type="checkbox" :id="'watchlist_' + i" :value="user" v-model="selected" />
+            <label :for="'watchlist_' + i">{{user}}</label>
+            <span v-if="isArchived(user)" class="watchlist-import__archived">(already downloaded)</span>
+          </li>
+        </ul>
+      </template>
+      <p v-else-if="failed">Couldn't load that watchlist, check the name and try again.</p>
+      <p v-else-if="loadedName && !loading">{{loadedName}} isn't watching anyone.</p>
+      <p v-else>Load someone's watchlist to pick which of the users they watch to download.</p>
+    </div>
+  `,
+  props: ['watchlist', 'defaultName', 'downloadAccounts'],
+  emits: ['sendEvent', 'download'],
+  data() {
+    return {
+      account: '',
+      users: [],
+      selected: [],
+      loadedName: '',
+      failed: false,
+      loading: false,
+      selectNewAlt: 'Only select users that have nothing downloaded yet',
+    };
+  },
+  watch: {
+    watchlist(list) {
+      if (!list) return;
+      this.loading = false;
+      this.loadedName = list.name;
+      this.failed = !!list.failed;
+      this.users = list.users || [];
+      this.selected = [...this.users];
+    },
+  },
+  computed: {
+    accountName() {
+      return (this.account || this.defaultName || '').toLowerCase().trim();
+    },
+    allSelected() {
+      return this.users.length > 0 && this.selected.length === this.users.length;
+    },
+    archived() {
+      return new Set((this.downloadAccounts || []).map(d => d.username));
+    },
+  },
+  methods: {
+    isArchived(user) {
+      return this.archived.has(user);
+    },
+    load() {
+      if (!this.accountName || this.loading) return;
+      this.loading = true;
+      this.$emit('sendEvent', { choice: 'load-watchlist', name: this.accountName });
+    },
+    selectAll(checked) {
+      this.selected = checked ? [...this.users] : [];
+    },
+    selectNew() {
+      this.selected = this.users.filter(user => !this.isArchived(user));
+    },
+    download() {
+      this.$emit('download', this.users.filter(user => this.selected.includes(user)));
+    },
+  },
+}
@@ -6,6 +6,8 @@ import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
 import * as db from './database-interface.js';
 import { exitCode, default as process, platform } from 'node:process';
+import * as cliProgress from 'cli-progress';
+import { EventEmitter } from 'node:events';
 import { FA_URL_BASE, RELEASE_CHECK, LOG_DIR as logDir } from './constants.js';
 /** @import { CheerioAPI } from 'cheerio' */
 
@@ -25,10 +27,18 @@ export const stop = {
   }
 };
 
+/**
+ * Every log line ("log") and progress update ("progress"), for anything else
+ * that wants to show them, like the control API.
+ */
+export const appEvents = new EventEmitter();
+
 // Get the main folder directory name
 export const __dirname = join(dirname(fileURLToPath(import.meta.url)), '../');
 // Page used to display messages to user
 let page = null;
+// Console progress bars, used instead of the page when running from the command line
+let consoleBars = null;
 let version = '';
 
 export function getVersion() {
@@ -73,6 +83,9 @@ export function setup() {
     return () => stream.write = old_write;
   }
   async function saveToLog(string, encoding) {
+    // Skip console progress bar redraws
+    if (consoleBars && String(string).includes('\u001b[')) return;
+    appEvents.emit('log', String(string));
     await logFile.write(`[${new Date().toISOString()}] ${string}`, encoding);
 
     if (page && !page?.isClosed()) {
@@ -104,6 +117,31 @@ export async function teardown() {
   process.removeAllListeners('uncaughtException');
 }
 
+const relativeUnits = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30.44 * 24 * 60 * 60 * 1000,
+  year: 365.25 * 24 * 60 * 60 * 1000,
+};
+/**
+ * Converts a date as FA shows it ("Mar 5, 2021 10:30 PM", "March 5th, 2021
+ * 10:30 PM" or "3 days ago") to an ISO timestamp.
+ * @param {String} date
+ * @param {Date} now What relative dates are counted back from
+ * @returns {String} ISO timestamp, or the original text if it can't be read
+ */
+export function toISODate(date = '', now = new Date()) {
+  const relative = date.match(/(\d+|an?)\s+(second|minute|hour|day|week|month|year)s?\s+ago/i);
+  if (relative) {
+    const amount = /^\d/.test(relative[1]) ? +relative[1] : 1;
+    return new Date(now - amount * relativeUnits[relative[2].toLowerCase()]).toISOString();
+  }
+  const parsed = new Date(date.replace(/(\d)(st|nd|rd|th)\b/i, '$1'));
+  return isNaN(parsed) ? date : parsed.toISOString();
+}
 /**
  * Creates a Promise that auto-resolves after the specified duration.
  * @param {Number} t 
@@ -120,7 +158,9 @@ export async function waitFor(t = 1000) {
 export async function logProgress(progress = {}, bar='file') {
   const { transferred: value, total: max, filename } = progress;
   let reset = !max;
-  if (!page?.isClosed()) {
+  appEvents.emit('progress', { value, max, reset, bar, filename });
+  if (consoleBars) return logConsoleProgress({ value, max, reset, bar, filename });
+  if (page && !page.isClosed()) {
     const data = {value, max, reset, bar, filename };
     await page.evaluate(`window.logProgress?.(${JSON.stringify(data)})`);
   }
@@ -131,6 +171,34 @@ logProgress.reset = (id) => {
 logProgress.busy = (id) => {
   if (id) logProgress({ transferred: 0, total: 0 }, id);
 }
+function logConsoleProgress({ value, max, reset, bar, filename = '' }) {
+  if (!consoleBars.bars[bar]) {
+    consoleBars.bars[bar] = consoleBars.multiBar.create(1, 0, { name: bar.toUpperCase(), filename: '' });
+  }
+  const progressBar = consoleBars.bars[bar];
+  if (reset) {
+    progressBar.setTotal(1);
+    progressBar.update(0, { filename: '' });
+  } else {
+    progressBar.setTotal(max);
+    progressBar.update(value, { filename });
+  }
+}
+/**
+ * Displays all progress in the console, for when there is no page to display it on.
+ */
+export function initConsoleProgress() {
+  const multiBar = new cliProgress.MultiBar({
+    format: '{name} | {bar} | {value}/{total} {filename}',
+    hideCursor: true,
+    clearOnComplete: false,
+  }, cliProgress.Presets.legacy);
+  consoleBars = { multiBar, bars: {} };
+}
+export function stopConsoleProgress() {
+  consoleBars?.multiBar.stop();
+  consoleBars = null;
+}
 
 /**
  * Retrieves the HTML from the given URL and loads it into a Cheerio object.
@@ -188,13 +256,17 @@ export async function isSiteActive() {
   return isSiteUp && !isMaintenance;
 }
 export async function sendStartupInfo(data = {}) {
+  if (!page) return;
   data.username = data.username || username;
   data.accounts = data.accounts || await db.getOwnedAccounts();
   data.downloadAccounts = data.downloadAccounts || await db.getAllUsernames();
+  data.downloadConcurrency = data.downloadConcurrency || (await db.getUserSettings())?.download_concurrency;
+  data.jobs = data.jobs || await db.getJobs();
+  data.schedules = data.schedules || await db.getSchedules();
   return page.evaluate(`window.setPageInfo?.(${JSON.stringify(data)})`);
 }
 export async function setActive(val = true) {
-  if(stop.now) return;
+  if(stop.now || !page) return;
   return page.evaluate(`window.setActive?.(${val})`);
 }
 /**
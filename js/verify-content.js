@@ -0,0 +1,127 @@
+import fs from 'fs-extra';
+import { open } from 'node:fs/promises';
+import { join } from 'node:path';
+import { Buffer } from 'node:buffer';
+import * as db from './database-interface.js';
+import { logProgress, stop } from './utils.js';
+import { findContentFile, hashFile } from './download-content.js';
+import { ARTIST_DIR, LOG_DIR } from './constants.js';
+
+const progressID = 'file';
+const contentFolders = ['gallery', 'scraps', 'favorites'];
+const htmlStart = /^\s*(<!doctype html|<html|<head|<body)/i;
+
+/**
+ * Checks if the saved file is actually an FA error page.
+ * @param {String} location
+ * @returns {Promise<Boolean>}
+ */
+async function isErrorPage(location) {
+  if (/\.html?$/i.test(location)) return false;
+  const handle = await open(location, 'r');
+  const { buffer, bytesRead } = await handle.read(Buffer.alloc(512), 0, 512, 0);
+  await handle.close();
+  return htmlStart.test(buffer.toString('utf8', 0, bytesRead));
+}
+/**
+ * Finds what's wrong with the saved file for the given submission, if anything.
+ * @param {Object} row Submission data
+ * @param {String} location Saved file
+ * @param {Boolean} deep Also check the file against its saved hash
+ * @returns {Promise<String>} The problem found, or empty if the file is fine
+ */
+async function checkFile(row, location, deep) {
+  const { size } = await fs.stat(location);
+  if (!size) return 'empty';
+  if (row.content_size && size !== row.content_size) return `wrong size (${size}/${row.content_size} bytes)`;
+  if (await isErrorPage(location)) return 'HTML error page';
+  if (deep && row.content_hash && (await hashFile(location)).hash !== row.content_hash) return 'hash mismatch';
+  return '';
+}
+/**
+ * Lists every file in the artist folders that no submission points to.
+ * Thumbnails, profile images and unfinished downloads are left out, as are
+ * files kept from earlier versions of a submission.
+ * @param {Array<Object>} rows Submission data
+ * @returns {Promise<Array<String>>}
+ */
+async function findOrphanFiles(rows) {
+  rows = [...rows, ...await db.getHistoryFiles()];
+  const knownFiles = new Set(rows.map(r => `${(r.account_name || r.username || '').replace(/\.$/, '._')}/${r.content_name}`));
+  const orphans = [];
+  const accounts = await fs.readdir(ARTIST_DIR).catch(() => []);
+  for (const account of accounts) {
+    for (const folder of contentFolders) {
+      const files = await fs.readdir(join(ARTIST_DIR, account, folder)).catch(() => []);
+      files
+        .filter(name => !/\.(part|link)$/.test(name) && !knownFiles.has(`${account}/${name}`))
+        .forEach(name => orphans.push(join(ARTIST_DIR, account, folder, name)));
+    }
+  }
+  return orphans;
+}
+async function writeReport({ checked, missing, corrupt, orphans }) {
+  const date = new Date();
+  const location = join(LOG_DIR, `verify-${date.toJSON().slice(0, 19).replace(/:/g, '-')}.log`);
+  const lines = [
+    `Verified ${checked} downloaded files on ${date.toLocaleString()}`,
+    `Missing: ${missing.length}`,
+    `Corrupt: ${corrupt.length}`,
+    `Orphaned: ${orphans.length}`,
+    '',
+    '## Missing (queued for download)',
+    ...missing.map(r => `${r.account_name}/${r.content_name}`),
+    '',
+    '## Corrupt (deleted and queued for download)',
+    ...corrupt.map(({ location, problem }) => `${location}: ${problem}`),
+    '',
+    '## Orphaned (not in the database, left as is)',
+    ...orphans,
+    '',
+  ];
+  await fs.ensureDir(LOG_DIR);
+  await fs.writeFile(location, lines.join('\n'));
+  return location;
+}
+/**
+ * Checks every file marked as downloaded against what's on disk. Missing or
+ * corrupt files are queued to be downloaded again, and a report is saved to
+ * the logs folder, along with any files the database doesn't know about.
+ * @param {Object} options
+ * @param {Boolean} options.deep Also re-hash each file to catch changed contents
+ * @returns {Promise<Object>} Lists of missing, corrupt and orphaned files
+ */
+export async function verifyContent({ deep = false } = {}) {
+  console.log('[File] Verifying downloaded files...');
+  const rows = await db.getAllContentFiles();
+  const saved = rows.filter(r => r.is_content_saved);
+  const missing = [];
+  const corrupt = [];
+  let i = 0;
+  while (i < saved.length && !stop.now) {
+    logProgress({ transferred: i + 1, total: saved.length }, progressID);
+    const row = saved[i++];
+    const location = await findContentFile(row);
+    if (!location) {
+      missing.push(row);
+      await db.setContentNotSaved(row.content_url);
+      continue;
+    }
+    const problem = await checkFile(row, location, deep).catch((e) => {
+      console.log(`[Warn] Could not check '${location}': ${e.message}`);
+      return '';
+    });
+    if (problem) {
+      corrupt.push({ location, problem });
+      await fs.remove(location);
+      await db.setContentNotSaved(row.content_url);
+    }
+  }
+  logProgress.reset(progressID);
+  if (stop.now) return { missing, corrupt, orphans: [] };
+  const orphans = await findOrphanFiles(rows);
+  const report = await writeReport({ checked: i, missing, corrupt, orphans });
+  console.log(`[File] ${missing.length} missing and ${corrupt.length} corrupt files queued for download, ${orphans.length} orphaned files found`);
+  console.log(`[File] Full report saved to: ${report}`);
+  return { missing, corrupt, orphans };
+}
@@ -1,20 +1,26 @@
 import { __dirname } from './utils.js';
 import * as db from './database-interface.js';
 import { join, resolve } from 'path';
-import { scrapeComments } from './scrape-data.js';
-import { downloadSpecificContent } from './download-content.js';
+import { pathToFileURL } from 'node:url';
+import { scrapeComments, scrapeSubmissionInfo, favoriteSubmission, isInProgress } from './scrape-data.js';
+import { downloadSpecificContent, findAvatarFiles } from './download-content.js';
 import { handleLogin, username } from './login.js';
 import open from 'open';
+import { getDuplicateReport, hardlinkDuplicates } from './dedupe-content.js';
+import { FA_URL_BASE } from './constants.js';
 
 const galleryLink = join('file://', __dirname, './html/gallery.html');
 const contentPath = resolve('file://', '../fa_gallery_downloader/downloaded_content' );
 
 let page = null;
+// Scraping a single submission would run alongside the running download
+const busyMessage = 'Please wait for the current download to finish';
 
 async function sendData() {
   const data = {
     favUsernames: await db.getAllFavUsernames(),
     usernames: await db.getAllUsernames(),
+    categories: await db.getAllCategories(),
   };
   await page.evaluate(`window.setPageInfo?.(${JSON.stringify(data)})`);
 }
@@ -23,9 +29,9 @@ export async function initGallery(browser) {
   page = await browser.newPage();
   await page.bringToFront();
   page.on('close', () => page = null);
-  await page.exposeFunction('getGalleryPage', async ({ offset, count, query, sortOrder } = {}) => {
-    // Get all data for given gallery page using offset
-    const data = await db.getGalleryPage(offset, count, query, sortOrder);
+  await page.exposeFunction('getGalleryPage', async ({ offset, count, query, sortOrder, sortBy, after } = {}) => {
+    // Get all data for given gallery page using offset, or after the given item
+    const data = await db.getGalleryPage(offset, count, query, sortOrder, sortBy, after);
     return data;
   });
   await page.exposeFunction('getSubmissionPage', async (id) => {
@@ -33,6 +39,22 @@ export async function initGallery(browser) {
     const data = await db.getSubmissionPage(id);
     return data;
   });
+  await page.exposeFunction('getJournalPage', async ({ offset, count, query } = {}) => {
+    return db.getJournalPage(offset, count, query);
+  });
+  await page.exposeFunction('getJournal', async (id) => {
+    return db.getJournal(id);
+  });
+  await page.exposeFunction('getAvatarPaths', async (names = []) => {
+    const paths = await findAvatarFiles([...new Set(names)]);
+    return Object.fromEntries(Object.entries(paths).map(([name, location]) => [name, pathToFileURL(location).href]));
+  });
+  await page.exposeFunction('getTagCounts', async (query = {}) => {
+    return db.getTagCounts(query);
+  });
+  await page.exposeFunction('getFolders', (username) => db.getFolders(username));
+  await page.exposeFunction('getDuplicateReport', () => getDuplicateReport());
+  await page.exposeFunction('hardlinkDuplicates', () => hardlinkDuplicates());
   await page.exposeFunction('downloadComments', async (id, url) => {
     if (!username) await handleLogin(browser);
     if (!username) return false;
@@ -45,6 +67,38 @@ export async function initGallery(browser) {
     const isComplete = await downloadSpecificContent(contentInfo);
     return !!isComplete;
   });
+  await page.exposeFunction('downloadSubmission', async (id) => {
+    if (isInProgress()) throw new Error(busyMessage);
+    if (!username) await handleLogin(browser);
+    if (!username) return false;
+    const url = `${FA_URL_BASE}/view/${id}/`;
+    await db.saveLinks([url], false, null);
+    await scrapeSubmissionInfo({ data: [{ url }], downloadComments: true });
+    const { submission } = await db.getSubmissionPage(`${id}`) || {};
+    if (!submission) return false;
+    await downloadSpecificContent(submission);
+    return true;
+  });
+  await page.exposeFunction('recheckSubmission', async (id) => {
+    if (isInProgress()) throw new Error(busyMessage);
+    if (!username) await handleLogin(browser);
+    if (!username) return null;
+    const { submission } = await db.getSubmissionPage(`${id}`) || {};
+    if (!submission) return null;
+    await scrapeSubmissionInfo({ data: [{ url: submission.url }], downloadComments: true });
+    const data = await db.getSubmissionPage(`${id}`);
+    // The file was replaced on FA
+    if (!data.submission.is_content_saved && !data.submission.deleted_at) {
+      await downloadSpecificContent(data.submission);
+      return db.getSubmissionPage(`${id}`);
+    }
+    return data;
+  });
+  await page.exposeFunction('favoriteSubmission', async (id) => {
+    if (!username) await handleLogin(browser);
+    if (!username) return '';
+    return favoriteSubmission(`${id}`);
+  });
   await page.exposeFunction('openUrl', (url) => {
     if (url) open(url);
   });